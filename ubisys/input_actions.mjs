@@ -0,0 +1,155 @@
+/**
+ * Input action micro-code helpers shared by the ubisys converters (transitions, clusters, decode/encode).
+ * Lives in a subfolder so Zigbee2MQTT does not load it as a converter of its own.
+ */
+
+import { Buffer } from 'buffer';
+
+// Input action transitions (bits 0-3: initial state << 2 | final state; states: 0=any, 1=pressed, 2=kept pressed, 3=released)
+const INPUT_ACTION_TRANSITIONS = {
+    press: 0x0D,        // released -> pressed
+    release: 0x03,      // any -> released
+    short: 0x07,        // pressed -> released
+    long: 0x06,         // pressed -> kept pressed
+    long_release: 0x0B, // kept pressed -> released
+};
+
+// Clusters and commands that input actions typically target
+const INPUT_ACTION_CLUSTERS = {
+    genScenes: { ID: 0x0005, commands: { add: 0x00, remove: 0x02, store: 0x04, recall: 0x05 } },
+    genOnOff: { ID: 0x0006, commands: { off: 0x00, on: 0x01, toggle: 0x02 } },
+    genLevelCtrl: {
+        ID: 0x0008,
+        commands: {
+            moveToLevel: 0x00, move: 0x01, step: 0x02, stop: 0x03,
+            moveToLevelWithOnOff: 0x04, moveWithOnOff: 0x05, stepWithOnOff: 0x06, stopWithOnOff: 0x07,
+        },
+    },
+    closuresWindowCovering: { ID: 0x0102, commands: { upOpen: 0x00, downClose: 0x01, stop: 0x02, goToLiftPercentage: 0x05, goToTiltPercentage: 0x08 } },
+    lightingColorCtrl: {
+        ID: 0x0300,
+        commands: {
+            moveToHue: 0x00, moveHue: 0x01, stepHue: 0x02, moveToSaturation: 0x03, moveSaturation: 0x04, stepSaturation: 0x05,
+            moveToHueAndSaturation: 0x06, moveToColor: 0x07, moveColor: 0x08, stepColor: 0x09, moveToColorTemp: 0x0a,
+            stopMoveStep: 0x47, moveColorTemp: 0x4b, stepColorTemp: 0x4c,
+        },
+    },
+};
+
+/**
+ * Decodes one input action micro-code element into its structured form.
+ * Values without a known name are kept numeric so the result always round-trips.
+ * @param {Buffer} buf - Raw input action element
+ * @returns {Object} {input, transition, [alternate], endpoint, cluster, command, payload} or {raw} if too short
+ */
+export function decodeInputAction(buf) {
+    const el = Buffer.from(buf);
+    if (el.length < 6) return { raw: el.toString('hex') };
+
+    const action = { input: el[0] & 0x0F };
+    if (el[0] >> 4) action.options = el[0] >> 4;
+
+    const transitionName = Object.keys(INPUT_ACTION_TRANSITIONS).find(name => INPUT_ACTION_TRANSITIONS[name] === (el[1] & 0x0F));
+    if (transitionName && (el[1] & 0x30) === 0 && (el[1] & 0xC0) !== 0x40) {
+        action.transition = transitionName;
+        if (el[1] & 0x80) action.alternate = (el[1] & 0x40) ? 1 : 0;
+    } else {
+        action.transition = el[1];
+    }
+
+    action.endpoint = el[2];
+    const clusterId = el.readUInt16LE(3);
+    const clusterName = Object.keys(INPUT_ACTION_CLUSTERS).find(name => INPUT_ACTION_CLUSTERS[name].ID === clusterId);
+    action.cluster = clusterName || clusterId;
+    const commands = clusterName ? INPUT_ACTION_CLUSTERS[clusterName].commands : {};
+    action.command = Object.keys(commands).find(name => commands[name] === el[5]) ?? el[5];
+    action.payload = el.subarray(6).toString('hex');
+    return action;
+}
+
+/**
+ * Encodes a structured input action into its micro-code element.
+ * Throws with a descriptive message if any field is invalid.
+ * @param {Object} action - Structured input action (see decodeInputAction)
+ * @param {number} index - Position in the list, used for error messages
+ * @returns {Buffer} Raw input action element
+ */
+export function encodeInputAction(action, index) {
+    const fail = (msg) => { throw new Error(`Invalid input action #${index}: ${msg}`); };
+    const isInt = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+    const isHex = (v) => typeof v === 'string' && /^([0-9a-fA-F]{2})*$/.test(v);
+
+    if (!action || typeof action !== 'object') fail('must be an object');
+    if (action.raw !== undefined) {
+        if (!isHex(action.raw)) fail('"raw" must be a hex string');
+        return Buffer.from(action.raw, 'hex');
+    }
+
+    if (!isInt(action.input, 0, 15)) fail('"input" must be an integer between 0 and 15');
+    const options = action.options ?? 0;
+    if (!isInt(options, 0, 15)) fail('"options" must be an integer between 0 and 15');
+
+    let transition;
+    if (typeof action.transition === 'number') {
+        if (!isInt(action.transition, 0, 255)) fail('numeric "transition" must be between 0 and 255');
+        if (action.alternate !== undefined) fail('"alternate" cannot be combined with a numeric "transition"');
+        transition = action.transition;
+    } else {
+        transition = INPUT_ACTION_TRANSITIONS[action.transition];
+        if (transition === undefined) {
+            fail(`unknown "transition" '${action.transition}', expected one of ${Object.keys(INPUT_ACTION_TRANSITIONS).join(', ')} or 0-255`);
+        }
+        if (action.alternate !== undefined) {
+            if (action.alternate !== 0 && action.alternate !== 1) fail('"alternate" must be 0 or 1');
+            transition |= 0x80 | (action.alternate << 6);
+        }
+    }
+
+    if (!isInt(action.endpoint, 1, 240)) fail('"endpoint" must be an integer between 1 and 240');
+
+    let clusterId;
+    let commands = {};
+    if (typeof action.cluster === 'number') {
+        if (!isInt(action.cluster, 0, 0xFFFF)) fail('numeric "cluster" must be between 0 and 65535');
+        clusterId = action.cluster;
+    } else {
+        const cluster = INPUT_ACTION_CLUSTERS[action.cluster];
+        if (!cluster) fail(`unknown "cluster" '${action.cluster}', expected one of ${Object.keys(INPUT_ACTION_CLUSTERS).join(', ')} or a cluster ID`);
+        clusterId = cluster.ID;
+        commands = cluster.commands;
+    }
+
+    let command;
+    if (typeof action.command === 'number') {
+        if (!isInt(action.command, 0, 255)) fail('numeric "command" must be between 0 and 255');
+        command = action.command;
+    } else {
+        command = commands[action.command];
+        if (command === undefined) fail(`unknown "command" '${action.command}' for cluster '${action.cluster}'`);
+    }
+
+    const payload = action.payload ?? '';
+    if (!isHex(payload)) fail('"payload" must be a hex string');
+
+    const header = Buffer.from([(options << 4) | action.input, transition, action.endpoint, clusterId & 0xFF, clusterId >> 8, command]);
+    return Buffer.concat([header, Buffer.from(payload, 'hex')]);
+}
+
+/**
+ * Parses and encodes a list of structured input actions (array or JSON string).
+ * All entries are validated before anything is returned, so nothing is written on error.
+ * @param {Array|string} value - Structured input actions
+ * @returns {Array<Buffer>} Raw input action elements
+ */
+export function encodeInputActions(value) {
+    let actions = value;
+    if (typeof value === 'string') {
+        try {
+            actions = JSON.parse(value);
+        } catch (err) {
+            throw new Error(`Invalid input actions JSON: ${err.message}`);
+        }
+    }
+    if (!Array.isArray(actions)) throw new Error('Input actions must be a list of objects');
+    return actions.map((action, i) => encodeInputAction(action, i));
+}
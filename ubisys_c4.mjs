@@ -6,6 +6,7 @@ import * as m from 'zigbee-herdsman-converters/lib/modernExtend';
 import * as exposes from 'zigbee-herdsman-converters/lib/exposes';
 import { Zcl } from 'zigbee-herdsman';
 import { Buffer } from 'buffer';
+import { decodeInputAction, encodeInputActions } from './ubisys/input_actions.mjs';
 
 const e = exposes.presets || (exposes.default && exposes.default.presets) || exposes;
 const ea = exposes.access || (exposes.default && exposes.default.access);
@@ -78,6 +79,7 @@ const definition = {
                 }
                 if (msg.data.inputActions !== undefined) {
                     result.input_actions = msg.data.inputActions.map(b => b.toString('hex'));
+                    result.input_actions_structured = msg.data.inputActions.map(decodeInputAction);
                 }
                 return result;
             },
@@ -108,12 +110,33 @@ const definition = {
                 await getSetupEndpoint(meta.device).read('manuSpecificUbisysDeviceSetup', ['inputActions']);
             },
         },
+        {
+            key: ['input_actions_structured'],
+            convertSet: async (entity, key, value, meta) => {
+                // Validate and encode everything before touching the device
+                const data = encodeInputActions(value);
+                await writeSetupAttribute(meta.device, 0x0001, data, 0x41); // 0x41 = OCTET_STR
+                return { state: { input_actions: data.map(b => b.toString('hex')), input_actions_structured: data.map(decodeInputAction) } };
+            },
+            convertGet: async (entity, key, meta) => {
+                await getSetupEndpoint(meta.device).read('manuSpecificUbisysDeviceSetup', ['inputActions']);
+            },
+        },
     ],
     exposes: [
         e.list('input_configurations', ea.ALL, e.numeric('value', ea.ALL))
             .withDescription('Input configurations: bit 7: disable, bit 6: invert (NC). Example: [0, 0, 0, 0]'),
         e.list('input_actions', ea.ALL, e.text('value', ea.ALL))
             .withDescription('Input actions: raw hex strings mapping inputs to clusters and commands.'),
+        e.list('input_actions_structured', ea.ALL, e.composite('input_action', 'input_action', ea.ALL)
+            .withFeature(e.numeric('input', ea.ALL))
+            .withFeature(e.text('transition', ea.ALL))
+            .withFeature(e.numeric('alternate', ea.ALL).withValueMin(0).withValueMax(1))
+            .withFeature(e.numeric('endpoint', ea.ALL))
+            .withFeature(e.text('cluster', ea.ALL))
+            .withFeature(e.text('command', ea.ALL))
+            .withFeature(e.text('payload', ea.ALL)))
+            .withDescription('Input actions as objects: {input, transition (press/release/short/long/long_release), alternate, endpoint, cluster, command, payload (hex)}.'),
     ],
     configure: async (device, coordinatorEndpoint, definition) => {
         const setupEp = device.getEndpoint(232);
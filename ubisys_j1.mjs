@@ -18,6 +18,7 @@
 import * as m from 'zigbee-herdsman-converters/lib/modernExtend';
 import * as exposes from 'zigbee-herdsman-converters/lib/exposes';
 import { Zcl } from 'zigbee-herdsman';
+import { decodeInputAction, encodeInputActions } from './ubisys/input_actions.mjs';
 import { Buffer } from 'buffer';
 
 const e = exposes.presets || (exposes.default && exposes.default.presets) || exposes;
@@ -51,6 +52,51 @@ const CONFIG_STATUS_FLAGS = {
     CLOSED_LOOP_TILT: 0x10,
 };
 
+// Motor steps per second of travel, used to convert times into step values
+const DEFAULT_STEPS_PER_SECOND = 50;
+
+// Commissioning profiles for j1_profile: window covering type, configStatus and limits per kind of blind
+const J1_PROFILES = {
+    roller_shutter: { windowCoveringType: 0, configStatus: 0x08, lift: [0, 240] },
+    venetian_blind: { windowCoveringType: 8, configStatus: 0x18, lift: [0, 240], tilt: [0, 900] },
+    awning: { windowCoveringType: 5, configStatus: 0x08, lift: [0, 240] },
+    projector_screen: { windowCoveringType: 9, configStatus: 0x08, lift: [0, 240] },
+};
+
+// Window covering types by what they move; all others are lift only
+const TILT_ONLY_TYPES = [7];
+const LIFT_AND_TILT_TYPES = [8];
+
+/**
+ * Derives what the cover can do from the cached windowCoveringType and configStatus.
+ * Until they have been read, everything is assumed so no control goes missing.
+ */
+function getCoverCapabilities(device) {
+    const ep = device?.getEndpoint?.(1);
+    const type = ep?.getClusterAttributeValue('closuresWindowCovering', 'windowCoveringType');
+    const configStatus = ep?.getClusterAttributeValue('closuresWindowCovering', 'configStatus');
+    const known = type !== undefined && type !== null;
+    return {
+        lift: !known || !TILT_ONLY_TYPES.includes(type),
+        tilt: !known || TILT_ONLY_TYPES.includes(type) || LIFT_AND_TILT_TYPES.includes(type),
+        liftToTilt: !known || LIFT_AND_TILT_TYPES.includes(type),
+        // Going to a percentage needs closed loop control
+        positionControl: configStatus === undefined || configStatus === null || !!(configStatus & CONFIG_STATUS_FLAGS.CLOSED_LOOP_LIFT),
+        tiltControl: configStatus === undefined || configStatus === null || !!(configStatus & CONFIG_STATUS_FLAGS.CLOSED_LOOP_TILT),
+    };
+}
+
+/**
+ * Builds the cover expose with position and/or tilt, or open/close/stop only.
+ */
+function coverExpose(position, tilt) {
+    if (position && tilt) return e.cover_position_tilt();
+    if (position) return e.cover_position();
+    if (tilt) return e.cover_tilt();
+    const Cover = exposes.Cover || exposes.default?.Cover;
+    return new Cover();
+}
+
 /**
  * Safely retrieves the ubisys device setup endpoint (232).
  */
@@ -82,6 +128,7 @@ const fzInputConfigurations = {
         }
         if (msg.data.inputActions !== undefined) {
             result.input_actions = msg.data.inputActions.map(b => b.toString('hex'));
+            result.input_actions_structured = msg.data.inputActions.map(decodeInputAction);
         }
         return result;
     },
@@ -179,20 +226,84 @@ const fzWindowCoveringMfr = {
     },
 };
 
+/**
+ * Describes the commissioning of a J1 as a j1_profile: the matching profile (or 'custom')
+ * and the travel and slat turn times derived from the step values.
+ */
+function describeJ1Profile(windowCoveringType, configStatus, steps, stepsPerSecond = DEFAULT_STEPS_PER_SECOND) {
+    const profile = Object.keys(J1_PROFILES).find(name => J1_PROFILES[name].windowCoveringType === windowCoveringType &&
+        (configStatus === undefined || (configStatus & 0x18) === J1_PROFILES[name].configStatus));
+    const seconds = (value, divisor = 1) => (value === undefined || value === 0xFFFF ? null : Math.round(value / stepsPerSecond * divisor) / divisor);
+    const result = {
+        profile: profile ?? 'custom',
+        open_to_closed_s: seconds(steps[0x1002], 10),
+        closed_to_open_s: seconds(steps[0x1004], 10),
+    };
+    if (profile === 'venetian_blind') result.tilt_ms = steps[0x1001] === undefined || steps[0x1001] === 0xFFFF ? null : Math.round(steps[0x1001] / stepsPerSecond * 1000);
+    return result;
+}
+
+// fromZigbee converter reading back j1_profile, from this message and the values already known
+const fzJ1Profile = {
+    cluster: 'closuresWindowCovering',
+    type: ['attributeReport', 'readResponse'],
+    convert: (model, msg, publish, options, meta) => {
+        const data = msg.data;
+        if (data.windowCoveringType === undefined && data.configStatus === undefined && [0x1001, 0x1002, 0x1004].every(a => data[a] === undefined)) return;
+
+        const state = meta?.state ?? {};
+        const windowCoveringType = data.windowCoveringType ?? state.window_covering_type_raw;
+        if (windowCoveringType === undefined) return;
+        const steps = {
+            0x1001: data[0x1001] ?? state.lift_to_tilt_transition_steps,
+            0x1002: data[0x1002] ?? state.total_steps,
+            0x1004: data[0x1004] ?? state.total_steps_2,
+        };
+        const stepsPerSecond = state.j1_profile?.steps_per_second ?? DEFAULT_STEPS_PER_SECOND;
+        return { j1_profile: describeJ1Profile(windowCoveringType, data.configStatus ?? state.config_status, steps, stepsPerSecond) };
+    },
+};
+
+// Multiplier/divisor attribute pairs per measurement, with the fallback used until they have been read
+const METERING_SCALING = { multiplier: 'multiplier', divisor: 'divisor', fallback: [1, 1000] };
+const ELECTRICAL_SCALING = {
+    voltage: { multiplier: 'acVoltageMultiplier', divisor: 'acVoltageDivisor', fallback: [1, 1] },
+    current: { multiplier: 'acCurrentMultiplier', divisor: 'acCurrentDivisor', fallback: [1, 1000] },
+    power: { multiplier: 'acPowerMultiplier', divisor: 'acPowerDivisor', fallback: [1, 1] },
+    frequency: { multiplier: 'acFrequencyMultiplier', divisor: 'acFrequencyDivisor', fallback: [1, 1000] },
+};
+
+/**
+ * Scales a measured value by multiplier / divisor from the message, else as cached by
+ * zigbee-herdsman when configure read them, else by the fallback.
+ */
+function scaleMeasurement(msg, cluster, scaling, value) {
+    const attr = (name) => {
+        const v = msg.data[name] ?? msg.endpoint?.getClusterAttributeValue?.(cluster, name);
+        return v > 0 ? v : undefined;
+    };
+    let multiplier = attr(scaling.multiplier);
+    let divisor = attr(scaling.divisor);
+    if (multiplier === undefined || divisor === undefined) [multiplier, divisor] = scaling.fallback;
+    return value * multiplier / divisor;
+}
+
 // fromZigbee converter for metering cluster
 const fzMetering = {
     cluster: 'seMetering',
     type: ['attributeReport', 'readResponse'],
     convert: (model, msg, publish, options, meta) => {
         const result = {};
+        // Summation is in kWh and demand in kW once scaled (unit of measure 0)
+        const scale = (value) => scaleMeasurement(msg, 'seMetering', METERING_SCALING, value);
 
         if (msg.data.currentSummDelivered !== undefined) {
-            // Convert to kWh (assuming multiplier/divisor of 1/1000)
-            const value = msg.data.currentSummDelivered[1] + (msg.data.currentSummDelivered[0] << 32);
-            result.energy = value / 1000;
+            const raw = msg.data.currentSummDelivered;
+            const value = Array.isArray(raw) ? raw[0] * 2 ** 32 + raw[1] : raw;
+            result.energy = scale(value);
         }
         if (msg.data.instantaneousDemand !== undefined) {
-            result.power = msg.data.instantaneousDemand;
+            result.power = scale(msg.data.instantaneousDemand * 1000);
         }
 
         return result;
@@ -205,24 +316,25 @@ const fzElectricalMeasurement = {
     type: ['attributeReport', 'readResponse'],
     convert: (model, msg, publish, options, meta) => {
         const result = {};
+        const scale = (name, value) => scaleMeasurement(msg, 'haElectricalMeasurement', ELECTRICAL_SCALING[name], value);
 
         if (msg.data.acFrequency !== undefined) {
-            result.ac_frequency = msg.data.acFrequency / 1000; // Convert to Hz
+            result.ac_frequency = scale('frequency', msg.data.acFrequency);
         }
         if (msg.data.rmsVoltage !== undefined) {
-            result.voltage = msg.data.rmsVoltage;
+            result.voltage = scale('voltage', msg.data.rmsVoltage);
         }
         if (msg.data.rmsCurrent !== undefined) {
-            result.current = msg.data.rmsCurrent / 1000; // Convert to A
+            result.current = scale('current', msg.data.rmsCurrent);
         }
         if (msg.data.activePower !== undefined) {
-            result.active_power = msg.data.activePower;
+            result.active_power = scale('power', msg.data.activePower);
         }
         if (msg.data.reactivePower !== undefined) {
-            result.reactive_power = msg.data.reactivePower;
+            result.reactive_power = scale('power', msg.data.reactivePower);
         }
         if (msg.data.apparentPower !== undefined) {
-            result.apparent_power = msg.data.apparentPower;
+            result.apparent_power = scale('power', msg.data.apparentPower);
         }
         if (msg.data.powerFactor !== undefined) {
             result.power_factor = msg.data.powerFactor / 100;
@@ -260,6 +372,118 @@ const tzWindowCovering = {
     },
 };
 
+// Automated calibration: the four moves of the procedure in the technical reference
+const CALIBRATION_STEPS = [
+    { direction: 'down', command: 'downClose', nudge: true },   // Leave the top limit
+    { direction: 'up', command: 'upOpen' },                     // Find the top limit
+    { direction: 'down', command: 'downClose' },                // Learn total steps (0x1002)
+    { direction: 'up', command: 'upOpen' },                     // Learn total steps 2 (0x1004)
+];
+const CALIBRATION_NUDGE_MS = 2000;          // Duration of the first short move down
+const CALIBRATION_POLL_MS = 1000;           // operationalStatus polling interval
+const CALIBRATION_START_TIMEOUT_S = 10;     // Time for the motor to start after a command
+const CALIBRATION_STEP_TIMEOUT_S = 180;     // Default time for a full travel before it counts as stalled
+
+// Running calibrations by device IEEE address, so they can be aborted
+const calibrationRuns = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Waits until the motor has started and stopped again, polling operationalStatus.
+ * Throws if the motor does not start, does not stop within the timeout, or the run is aborted.
+ */
+async function waitForMotorStop(endpoint, run, timeoutS) {
+    const start = Date.now();
+    let started = false;
+    while (!run.aborted) {
+        await sleep(CALIBRATION_POLL_MS);
+        let status;
+        try {
+            status = (await endpoint.read('closuresWindowCovering', ['operationalStatus'])).operationalStatus;
+        } catch (e) {
+            // Missed polls are covered by the timeouts
+        }
+        const elapsed = (Date.now() - start) / 1000;
+        if (status !== undefined && status !== 0) started = true;
+        if (started && status === 0) return;
+        if (!started && elapsed > CALIBRATION_START_TIMEOUT_S) throw new Error(`motor did not start within ${CALIBRATION_START_TIMEOUT_S} s`);
+        if (elapsed > timeoutS) throw new Error(`motor did not reach the limit within ${timeoutS} s`);
+    }
+    throw new Error('aborted');
+}
+
+/**
+ * Drives the calibration sequence (down, up, down, up) and publishes calibration_progress along the way.
+ * Runs in the background; the device is left in normal mode whether it succeeds or fails.
+ */
+async function runCalibration(endpoint, meta, run, timeoutS) {
+    const device = meta.device;
+    const log = meta.logger || console;
+    const start = Date.now();
+    const progress = (step, direction, result, extra = {}) => {
+        if (typeof meta.publish === 'function') {
+            meta.publish({ calibration_progress: { step, direction, elapsed: Math.round((Date.now() - start) / 1000), result, ...extra } });
+        }
+    };
+
+    // Calibration mode is only entered once the mode was read, so there is nothing to restore before.
+    // Writing a guessed mode would clear motor_reversed.
+    let mode;
+    let current = { step: 0, direction: null };
+    try {
+        if (run.aborted) throw new Error('aborted');
+        const { mode: currentMode } = await endpoint.read('closuresWindowCovering', ['mode']);
+        if (currentMode === undefined) throw new Error('mode could not be read');
+        mode = currentMode;
+        await endpoint.write('closuresWindowCovering', { mode: mode | 0x02 });
+
+        for (const [i, step] of CALIBRATION_STEPS.entries()) {
+            if (run.aborted) throw new Error('aborted');
+            current = { step: i + 1, direction: step.direction };
+            progress(current.step, current.direction, 'running');
+            await endpoint.command('closuresWindowCovering', step.command, {});
+            if (step.nudge) {
+                await sleep(CALIBRATION_NUDGE_MS);
+                await endpoint.command('closuresWindowCovering', 'stop', {});
+                await sleep(CALIBRATION_POLL_MS);
+            } else {
+                await waitForMotorStop(endpoint, run, timeoutS);
+            }
+            if (run.aborted) throw new Error('aborted');
+
+            // Publishes the step values learned so far
+            await endpoint.read('closuresWindowCovering', [0x1001, 0x1002, 0x1003, 0x1004], { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+        }
+
+        const learned = await endpoint.read('closuresWindowCovering', [0x1002, 0x1004], { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+        for (const attr of [0x1002, 0x1004]) {
+            if (learned[attr] === undefined || learned[attr] === 0xFFFF) throw new Error(`total steps (0x${attr.toString(16)}) were not learned`);
+        }
+        progress(current.step, current.direction, 'success', { total_steps: learned[0x1002], total_steps_2: learned[0x1004] });
+        log.info('ubisys J1: Calibration completed.');
+    } catch (e) {
+        log.warn(`ubisys J1: Calibration failed in step ${current.step}: ${e.message}`);
+        progress(current.step, current.direction, 'failed', { error: e.message });
+        try {
+            await endpoint.command('closuresWindowCovering', 'stop', {});
+        } catch (err) {
+            // Leaving calibration mode below matters more
+        }
+    } finally {
+        if (mode !== undefined) {
+            try {
+                await endpoint.write('closuresWindowCovering', { mode: mode & ~0x02 });
+                await endpoint.read('closuresWindowCovering', ['mode']);
+            } catch (e) {
+                log.warn(`ubisys J1: Failed to exit calibration mode: ${e.message}`);
+            }
+        }
+        // Only now, so a new calibration cannot enter calibration mode while this one is leaving it
+        if (calibrationRuns.get(device.ieeeAddr) === run) calibrationRuns.delete(device.ieeeAddr);
+    }
+}
+
 // toZigbee converter for J1 configuration
 const tzConfigureJ1 = {
     key: ['configure_j1'],
@@ -268,158 +492,191 @@ const tzConfigureJ1 = {
         const log = meta.logger || console;
 
         // Helper function to convert time-based values to steps
-        const stepsPerSecond = value.steps_per_second || 50;
+        const stepsPerSecond = value.steps_per_second || DEFAULT_STEPS_PER_SECOND;
 
-        // Handle calibration mode
+        // Handle calibration mode. The run is registered right away, so a second request fails even
+        // while this one is still preparing the device
+        let run;
         if (value.calibrate) {
-            log.info('ubisys J1: Starting calibration...');
-
-            // Set calibration preparation values
-            await endpoint.write('closuresWindowCovering',
-                { installedOpenLimitLift: 0x0000 },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-            await endpoint.write('closuresWindowCovering',
-                { installedClosedLimitLift: 0x00F0 },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-            await endpoint.write('closuresWindowCovering',
-                { installedOpenLimitTilt: 0x0000 },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-            await endpoint.write('closuresWindowCovering',
-                { installedClosedLimitTilt: 0x0384 },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-
-            // Invalidate step values
-            await endpoint.write('closuresWindowCovering',
-                { 0x1001: { value: 0xFFFF, type: Zcl.DataType.UINT16 } },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-            await endpoint.write('closuresWindowCovering',
-                { 0x1002: { value: 0xFFFF, type: Zcl.DataType.UINT16 } },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-            await endpoint.write('closuresWindowCovering',
-                { 0x1003: { value: 0xFFFF, type: Zcl.DataType.UINT16 } },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-            await endpoint.write('closuresWindowCovering',
-                { 0x1004: { value: 0xFFFF, type: Zcl.DataType.UINT16 } },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-
-            // Enter calibration mode
-            await endpoint.write('closuresWindowCovering', { mode: 0x02 });
-            log.info('ubisys J1: Calibration mode entered. Move blind down, then up, then down, then up to complete.');
-        }
-
-        // Set window covering type
-        if (value.windowCoveringType !== undefined) {
-            await endpoint.write('closuresWindowCovering',
-                { windowCoveringType: value.windowCoveringType },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-            log.info(`ubisys J1: Window covering type set to ${WINDOW_COVERING_TYPES[value.windowCoveringType] || value.windowCoveringType}`);
-        }
-
-        // Set config status
-        if (value.configStatus !== undefined) {
-            await endpoint.write('closuresWindowCovering',
-                { configStatus: value.configStatus },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-        }
-
-        // Set lift limits
-        if (value.installedOpenLimitLiftCm !== undefined) {
-            await endpoint.write('closuresWindowCovering',
-                { installedOpenLimitLift: value.installedOpenLimitLiftCm },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-        }
-        if (value.installedClosedLimitLiftCm !== undefined) {
-            await endpoint.write('closuresWindowCovering',
-                { installedClosedLimitLift: value.installedClosedLimitLiftCm },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-        }
-
-        // Set tilt limits
-        if (value.installedOpenLimitTiltDdegree !== undefined) {
-            await endpoint.write('closuresWindowCovering',
-                { installedOpenLimitTilt: value.installedOpenLimitTiltDdegree },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-        }
-        if (value.installedClosedLimitTiltDdegree !== undefined) {
-            await endpoint.write('closuresWindowCovering',
-                { installedClosedLimitTilt: value.installedClosedLimitTiltDdegree },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-        }
-
-        // Set turnaround guard time
-        if (value.turnaroundGuardTime !== undefined) {
-            await endpoint.write('closuresWindowCovering',
-                { 0x1000: { value: value.turnaroundGuardTime, type: Zcl.DataType.UINT8 } },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-        }
-
-        // Set step values (either directly or converted from time)
-        let liftToTiltSteps = value.liftToTiltTransitionSteps;
-        let liftToTiltSteps2 = value.liftToTiltTransitionSteps2;
-        let totalSteps = value.totalSteps;
-        let totalSteps2 = value.totalSteps2;
-
-        // Convert from time if specified
-        if (value.lift_to_tilt_transition_ms !== undefined) {
-            liftToTiltSteps = Math.round(value.lift_to_tilt_transition_ms / 1000 * stepsPerSecond);
-            liftToTiltSteps2 = liftToTiltSteps; // Should be equal per spec
-        }
-        if (value.open_to_closed_s !== undefined) {
-            totalSteps = Math.round(value.open_to_closed_s * stepsPerSecond);
-        }
-        if (value.closed_to_open_s !== undefined) {
-            totalSteps2 = Math.round(value.closed_to_open_s * stepsPerSecond);
-        }
-
-        if (liftToTiltSteps !== undefined) {
-            await endpoint.write('closuresWindowCovering',
-                { 0x1001: { value: liftToTiltSteps, type: Zcl.DataType.UINT16 } },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-        }
-        if (liftToTiltSteps2 !== undefined) {
-            await endpoint.write('closuresWindowCovering',
-                { 0x1003: { value: liftToTiltSteps2, type: Zcl.DataType.UINT16 } },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-        }
-        if (totalSteps !== undefined) {
-            await endpoint.write('closuresWindowCovering',
-                { 0x1002: { value: totalSteps, type: Zcl.DataType.UINT16 } },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-        }
-        if (totalSteps2 !== undefined) {
-            await endpoint.write('closuresWindowCovering',
-                { 0x1004: { value: totalSteps2, type: Zcl.DataType.UINT16 } },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+            if (calibrationRuns.has(meta.device.ieeeAddr)) throw new Error('Calibration is already running, send calibrate: 0 to abort it');
+            const timeout = value.calibration_timeout_s ?? CALIBRATION_STEP_TIMEOUT_S;
+            if (!(timeout > CALIBRATION_START_TIMEOUT_S)) throw new Error(`calibration_timeout_s must be greater than ${CALIBRATION_START_TIMEOUT_S}`);
+            run = { aborted: false };
+            calibrationRuns.set(meta.device.ieeeAddr, run);
         }
 
-        // Set additional steps percentage
-        if (value.additionalSteps !== undefined) {
-            await endpoint.write('closuresWindowCovering',
-                { 0x1005: { value: value.additionalSteps, type: Zcl.DataType.UINT8 } },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-        }
+        try {
+            if (value.calibrate) {
+                log.info('ubisys J1: Starting calibration...');
 
-        // Set inactive power threshold
-        if (value.inactivePowerThreshold !== undefined) {
-            await endpoint.write('closuresWindowCovering',
-                { 0x1006: { value: value.inactivePowerThreshold, type: Zcl.DataType.UINT16 } },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-        }
+                // Set calibration preparation values
+                await endpoint.write('closuresWindowCovering',
+                    { installedOpenLimitLift: 0x0000 },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+                await endpoint.write('closuresWindowCovering',
+                    { installedClosedLimitLift: 0x00F0 },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+                await endpoint.write('closuresWindowCovering',
+                    { installedOpenLimitTilt: 0x0000 },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+                await endpoint.write('closuresWindowCovering',
+                    { installedClosedLimitTilt: 0x0384 },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
 
-        // Set startup steps
-        if (value.startupSteps !== undefined) {
-            await endpoint.write('closuresWindowCovering',
-                { 0x1007: { value: value.startupSteps, type: Zcl.DataType.UINT16 } },
-                { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-        }
+                // Invalidate step values
+                await endpoint.write('closuresWindowCovering',
+                    { 0x1001: { value: 0xFFFF, type: Zcl.DataType.UINT16 } },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+                await endpoint.write('closuresWindowCovering',
+                    { 0x1002: { value: 0xFFFF, type: Zcl.DataType.UINT16 } },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+                await endpoint.write('closuresWindowCovering',
+                    { 0x1003: { value: 0xFFFF, type: Zcl.DataType.UINT16 } },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+                await endpoint.write('closuresWindowCovering',
+                    { 0x1004: { value: 0xFFFF, type: Zcl.DataType.UINT16 } },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
 
-        // Exit calibration mode when done
-        if (value.calibrate === 0 || value.exitCalibration) {
-            await endpoint.write('closuresWindowCovering', { mode: 0x00 });
-            log.info('ubisys J1: Calibration mode exited.');
-        }
+            }
+
+            // Set window covering type
+            if (value.windowCoveringType !== undefined) {
+                await endpoint.write('closuresWindowCovering',
+                    { windowCoveringType: value.windowCoveringType },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+                log.info(`ubisys J1: Window covering type set to ${WINDOW_COVERING_TYPES[value.windowCoveringType] || value.windowCoveringType}`);
+            }
+
+            // Set config status
+            if (value.configStatus !== undefined) {
+                await endpoint.write('closuresWindowCovering',
+                    { configStatus: value.configStatus },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+            }
+
+            // Refresh the cached values the exposes depend on
+            if (value.windowCoveringType !== undefined || value.configStatus !== undefined) {
+                await endpoint.read('closuresWindowCovering', ['windowCoveringType', 'configStatus']);
+                if (typeof meta.deviceExposesChanged === 'function') meta.deviceExposesChanged();
+            }
+
+            // Set lift limits
+            if (value.installedOpenLimitLiftCm !== undefined) {
+                await endpoint.write('closuresWindowCovering',
+                    { installedOpenLimitLift: value.installedOpenLimitLiftCm },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+            }
+            if (value.installedClosedLimitLiftCm !== undefined) {
+                await endpoint.write('closuresWindowCovering',
+                    { installedClosedLimitLift: value.installedClosedLimitLiftCm },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+            }
+
+            // Set tilt limits
+            if (value.installedOpenLimitTiltDdegree !== undefined) {
+                await endpoint.write('closuresWindowCovering',
+                    { installedOpenLimitTilt: value.installedOpenLimitTiltDdegree },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+            }
+            if (value.installedClosedLimitTiltDdegree !== undefined) {
+                await endpoint.write('closuresWindowCovering',
+                    { installedClosedLimitTilt: value.installedClosedLimitTiltDdegree },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+            }
+
+            // Set turnaround guard time
+            if (value.turnaroundGuardTime !== undefined) {
+                await endpoint.write('closuresWindowCovering',
+                    { 0x1000: { value: value.turnaroundGuardTime, type: Zcl.DataType.UINT8 } },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+            }
+
+            // Set step values (either directly or converted from time)
+            let liftToTiltSteps = value.liftToTiltTransitionSteps;
+            let liftToTiltSteps2 = value.liftToTiltTransitionSteps2;
+            let totalSteps = value.totalSteps;
+            let totalSteps2 = value.totalSteps2;
+
+            // Convert from time if specified
+            if (value.lift_to_tilt_transition_ms !== undefined) {
+                liftToTiltSteps = Math.round(value.lift_to_tilt_transition_ms / 1000 * stepsPerSecond);
+                liftToTiltSteps2 = liftToTiltSteps; // Should be equal per spec
+            }
+            if (value.open_to_closed_s !== undefined) {
+                totalSteps = Math.round(value.open_to_closed_s * stepsPerSecond);
+            }
+            if (value.closed_to_open_s !== undefined) {
+                totalSteps2 = Math.round(value.closed_to_open_s * stepsPerSecond);
+            }
 
-        return { state: { configure_j1: 'configured' } };
+            if (liftToTiltSteps !== undefined) {
+                await endpoint.write('closuresWindowCovering',
+                    { 0x1001: { value: liftToTiltSteps, type: Zcl.DataType.UINT16 } },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+            }
+            if (liftToTiltSteps2 !== undefined) {
+                await endpoint.write('closuresWindowCovering',
+                    { 0x1003: { value: liftToTiltSteps2, type: Zcl.DataType.UINT16 } },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+            }
+            if (totalSteps !== undefined) {
+                await endpoint.write('closuresWindowCovering',
+                    { 0x1002: { value: totalSteps, type: Zcl.DataType.UINT16 } },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+            }
+            if (totalSteps2 !== undefined) {
+                await endpoint.write('closuresWindowCovering',
+                    { 0x1004: { value: totalSteps2, type: Zcl.DataType.UINT16 } },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+            }
+
+            // Set additional steps percentage
+            if (value.additionalSteps !== undefined) {
+                await endpoint.write('closuresWindowCovering',
+                    { 0x1005: { value: value.additionalSteps, type: Zcl.DataType.UINT8 } },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+            }
+
+            // Set inactive power threshold
+            if (value.inactivePowerThreshold !== undefined) {
+                await endpoint.write('closuresWindowCovering',
+                    { 0x1006: { value: value.inactivePowerThreshold, type: Zcl.DataType.UINT16 } },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+            }
+
+            // Set startup steps
+            if (value.startupSteps !== undefined) {
+                await endpoint.write('closuresWindowCovering',
+                    { 0x1007: { value: value.startupSteps, type: Zcl.DataType.UINT16 } },
+                    { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+            }
+
+            // Exit calibration mode when done, aborting a running calibration (it exits the mode itself)
+            if (value.calibrate === 0 || value.exitCalibration) {
+                const run = calibrationRuns.get(meta.device.ieeeAddr);
+                if (run) {
+                    run.aborted = true;
+                } else {
+                    const currentMode = (await endpoint.read('closuresWindowCovering', ['mode'])).mode || 0;
+                    await endpoint.write('closuresWindowCovering', { mode: currentMode & ~0x02 });
+                }
+                log.info('ubisys J1: Calibration mode exited.');
+            }
+
+            // Drive the calibration moves in the background, progress is published as calibration_progress
+            if (value.calibrate) {
+                runCalibration(endpoint, meta, run, value.calibration_timeout_s ?? CALIBRATION_STEP_TIMEOUT_S).catch((e) => {
+                    log.warn(`ubisys J1: Calibration stopped unexpectedly: ${e.message}`);
+                    if (calibrationRuns.get(meta.device.ieeeAddr) === run) calibrationRuns.delete(meta.device.ieeeAddr);
+                });
+                return { state: { configure_j1: 'configured', calibration_progress: { step: 0, direction: null, elapsed: 0, result: 'running' } } };
+            }
+
+            return { state: { configure_j1: 'configured' } };
+        } catch (e) {
+            if (run) calibrationRuns.delete(meta.device.ieeeAddr);
+            throw e;
+        }
     },
     convertGet: async (entity, key, meta) => {
         const endpoint = meta.device.getEndpoint(1);
@@ -437,6 +694,69 @@ const tzConfigureJ1 = {
     },
 };
 
+/**
+ * Reads the attributes j1_profile is derived from (fzJ1Profile publishes them as well).
+ */
+async function readJ1Profile(endpoint) {
+    const { windowCoveringType, configStatus } = await endpoint.read('closuresWindowCovering', ['windowCoveringType', 'configStatus']);
+    const steps = await endpoint.read('closuresWindowCovering', [0x1001, 0x1002, 0x1004], { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+    return { windowCoveringType, configStatus, steps };
+}
+
+// toZigbee converter for j1_profile: commissions the J1 for a kind of blind from its travel times
+const tzJ1Profile = {
+    key: ['j1_profile'],
+    convertSet: async (entity, key, value, meta) => {
+        const endpoint = meta.device.getEndpoint(1);
+        const profile = J1_PROFILES[value?.profile];
+        if (!profile) throw new Error(`Unknown profile '${value?.profile}', expected one of ${Object.keys(J1_PROFILES).join(', ')}`);
+
+        const stepsPerSecond = value.steps_per_second ?? DEFAULT_STEPS_PER_SECOND;
+        if (!(stepsPerSecond > 0)) throw new Error('steps_per_second must be greater than 0');
+        const toSteps = (s, name) => {
+            if (s === undefined) return undefined;
+            const steps = Math.round(s * stepsPerSecond);
+            if (!(s > 0) || steps >= 0xFFFF) throw new Error(`${name} must be a positive time below ${Math.floor(0xFFFE / stepsPerSecond)} s`);
+            return steps;
+        };
+        // Travel times are optional, the automated calibration learns them
+        const totalSteps = toSteps(value.open_to_closed_s, 'open_to_closed_s');
+        const totalSteps2 = toSteps(value.closed_to_open_s ?? value.open_to_closed_s, 'closed_to_open_s');
+        let tiltSteps = 0;
+        if (profile.tilt) {
+            if (value.tilt_ms === undefined) throw new Error('tilt_ms (time to turn the slats) is required for venetian_blind, it cannot be calibrated');
+            tiltSteps = toSteps(value.tilt_ms / 1000, 'tilt_ms');
+        } else if (value.tilt_ms !== undefined) {
+            throw new Error(`tilt_ms does not apply to ${value.profile}`);
+        }
+
+        const write = (attrs) => endpoint.write('closuresWindowCovering', attrs, { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+        await write({ windowCoveringType: profile.windowCoveringType });
+        await write({ configStatus: profile.configStatus });
+        await write({ installedOpenLimitLift: profile.lift[0] });
+        await write({ installedClosedLimitLift: profile.lift[1] });
+        if (profile.tilt) {
+            await write({ installedOpenLimitTilt: profile.tilt[0] });
+            await write({ installedClosedLimitTilt: profile.tilt[1] });
+        }
+        // Lift-to-tilt steps are the same in both directions
+        await write({ 0x1001: { value: tiltSteps, type: Zcl.DataType.UINT16 } });
+        await write({ 0x1003: { value: tiltSteps, type: Zcl.DataType.UINT16 } });
+        if (totalSteps !== undefined) await write({ 0x1002: { value: totalSteps, type: Zcl.DataType.UINT16 } });
+        if (totalSteps2 !== undefined) await write({ 0x1004: { value: totalSteps2, type: Zcl.DataType.UINT16 } });
+
+        // Read back which profile the device now matches, and show the controls of the new kind of blind
+        const { windowCoveringType, configStatus, steps } = await readJ1Profile(endpoint);
+        if (typeof meta.deviceExposesChanged === 'function') meta.deviceExposesChanged();
+        const j1Profile = describeJ1Profile(windowCoveringType, configStatus, steps, stepsPerSecond);
+        if (value.steps_per_second !== undefined) j1Profile.steps_per_second = stepsPerSecond;
+        return { state: { j1_profile: j1Profile } };
+    },
+    convertGet: async (entity, key, meta) => {
+        await readJ1Profile(meta.device.getEndpoint(1));
+    },
+};
+
 // toZigbee converter for input configuration
 const tzInputConfigurations = {
     key: ['input_configurations'],
@@ -463,6 +783,20 @@ const tzInputActions = {
     },
 };
 
+// toZigbee converter for input actions in structured form
+const tzInputActionsStructured = {
+    key: ['input_actions_structured'],
+    convertSet: async (entity, key, value, meta) => {
+        // Validate and encode everything before touching the device
+        const data = encodeInputActions(value);
+        await writeSetupAttribute(meta.device, 0x0001, data);
+        return { state: { input_actions: data.map(b => b.toString('hex')), input_actions_structured: data.map(decodeInputAction) } };
+    },
+    convertGet: async (entity, key, meta) => {
+        await getSetupEndpoint(meta.device).read('manuSpecificUbisysDeviceSetup', ['inputActions']);
+    },
+};
+
 // toZigbee for mode (motor direction reversal)
 const tzMode = {
     key: ['motor_reversed'],
@@ -511,14 +845,138 @@ const tzElectricalGet = {
     },
 };
 
+// Default reporting of the meter (endpoint 3), tunable via device options
+const METERING_REPORTING_DEFAULTS = {
+    metering_reporting_min_interval: 10,    // s
+    metering_reporting_max_interval: 3600,  // s
+    power_reporting_threshold: 1,           // W
+    energy_reporting_threshold: 0.01,       // kWh
+    voltage_reporting_threshold: 2,         // V
+    current_reporting_threshold: 0.05,      // A
+};
+
+/**
+ * Converts a threshold in true units into the raw reportable change, the inverse of scaleMeasurement.
+ */
+function toReportableChange(endpoint, cluster, scaling, value) {
+    const attr = (name) => {
+        const v = endpoint.getClusterAttributeValue(cluster, name);
+        return v > 0 ? v : undefined;
+    };
+    let multiplier = attr(scaling.multiplier);
+    let divisor = attr(scaling.divisor);
+    if (multiplier === undefined || divisor === undefined) [multiplier, divisor] = scaling.fallback;
+    return Math.max(1, Math.round(value * divisor / multiplier));
+}
+
+/**
+ * Finds the coordinator endpoint the device is bound to, for re-applying bindings outside of configure.
+ */
+function findCoordinatorEndpoint(device) {
+    for (const ep of device.endpoints) {
+        const bind = (ep.binds || []).find(b => b.target?.getDevice?.()?.type === 'Coordinator');
+        if (bind) return bind.target;
+    }
+}
+
+/**
+ * Keeps the reporting options of the device in its meta, for configure, which does not get the device options.
+ */
+function rememberReportingOptions(device, options) {
+    if (!device?.meta || !options) return;
+    device.meta.ubisysReportingOptions = Object.fromEntries(Object.keys(METERING_REPORTING_DEFAULTS)
+        .filter(key => options[key] !== undefined && options[key] !== null).map(key => [key, options[key]]));
+    device.save();
+}
+
+/**
+ * Binds and configures reporting for position and movement (endpoint 1) and for metering and
+ * electrical measurements (endpoint 3). Thresholds come from the device options, in W, kWh, V and A.
+ */
+async function configureJ1Reporting(device, coordinatorEndpoint, options) {
+    const opt = (key) => options?.[key] ?? METERING_REPORTING_DEFAULTS[key];
+    const target = coordinatorEndpoint || findCoordinatorEndpoint(device);
+
+    const endpoint1 = device.getEndpoint(1);
+    if (endpoint1) {
+        const { lift, tilt } = getCoverCapabilities(device);
+        const positions = [
+            lift && 'currentPositionLiftPercentage',
+            tilt && 'currentPositionTiltPercentage',
+        ].filter(Boolean);
+        // Separate calls, so a rejected position attribute does not cost the movement reports
+        const reporting = [
+            positions.map(attribute => ({ attribute, minimumReportInterval: 1, maximumReportInterval: 300, reportableChange: 1 })),
+            // Movement has to show up immediately
+            [{ attribute: 'operationalStatus', minimumReportInterval: 0, maximumReportInterval: 3600, reportableChange: 0 }],
+        ];
+        try {
+            if (target) await endpoint1.bind('closuresWindowCovering', target);
+        } catch (e) {
+            console.warn(`ubisys J1: Failed to bind endpoint 1: ${e.message}`);
+        }
+        for (const attributes of reporting.filter(list => list.length)) {
+            try {
+                await endpoint1.configureReporting('closuresWindowCovering', attributes);
+            } catch (e) {
+                console.warn(`ubisys J1: Failed to configure reporting of ${attributes.map(a => a.attribute).join(', ')} on endpoint 1: ${e.message}`);
+            }
+        }
+    }
+
+    const endpoint3 = device.getEndpoint(3);
+    if (endpoint3) {
+        const min = opt('metering_reporting_min_interval');
+        const max = opt('metering_reporting_max_interval');
+        const metering = (value) => toReportableChange(endpoint3, 'seMetering', METERING_SCALING, value);
+        const electrical = (name, value) => toReportableChange(endpoint3, 'haElectricalMeasurement', ELECTRICAL_SCALING[name], value);
+        const reporting = {
+            seMetering: [
+                ['instantaneousDemand', metering(opt('power_reporting_threshold') / 1000)],
+                ['currentSummDelivered', metering(opt('energy_reporting_threshold'))],
+            ],
+            haElectricalMeasurement: [
+                ['rmsVoltage', electrical('voltage', opt('voltage_reporting_threshold'))],
+                ['rmsCurrent', electrical('current', opt('current_reporting_threshold'))],
+                ['activePower', electrical('power', opt('power_reporting_threshold'))],
+            ],
+        };
+        for (const [cluster, attributes] of Object.entries(reporting)) {
+            try {
+                if (target) await endpoint3.bind(cluster, target);
+                await endpoint3.configureReporting(cluster, attributes.map(([attribute, reportableChange]) => ({
+                    attribute, minimumReportInterval: min, maximumReportInterval: max, reportableChange,
+                })));
+            } catch (e) {
+                console.warn(`ubisys J1: Failed to configure reporting of ${cluster} on endpoint 3: ${e.message}`);
+            }
+        }
+    }
+}
+
 const definition = {
     zigbeeModel: ['J1 (5502)', 'J1-R (5602)'],
     model: 'J1',
     vendor: 'ubisys',
     description: 'ZigBee shutter control with integrated smart meter for single-phase AC motors',
+    options: [
+        e.numeric('metering_reporting_min_interval', ea.SET).withValueMin(0).withValueMax(3600).withUnit('s')
+            .withDescription(`Minimum interval between reports of power, energy, voltage and current (default ${METERING_REPORTING_DEFAULTS.metering_reporting_min_interval})`),
+        e.numeric('metering_reporting_max_interval', ea.SET).withValueMin(1).withValueMax(65534).withUnit('s')
+            .withDescription(`Maximum interval between reports of power, energy, voltage and current (default ${METERING_REPORTING_DEFAULTS.metering_reporting_max_interval})`),
+        e.numeric('power_reporting_threshold', ea.SET).withValueMin(0).withUnit('W')
+            .withDescription(`Power change that triggers a report (default ${METERING_REPORTING_DEFAULTS.power_reporting_threshold})`),
+        e.numeric('energy_reporting_threshold', ea.SET).withValueMin(0).withUnit('kWh')
+            .withDescription(`Energy change that triggers a report (default ${METERING_REPORTING_DEFAULTS.energy_reporting_threshold})`),
+        e.numeric('voltage_reporting_threshold', ea.SET).withValueMin(0).withUnit('V')
+            .withDescription(`Voltage change that triggers a report (default ${METERING_REPORTING_DEFAULTS.voltage_reporting_threshold})`),
+        e.numeric('current_reporting_threshold', ea.SET).withValueMin(0).withUnit('A')
+            .withDescription(`Current change that triggers a report (default ${METERING_REPORTING_DEFAULTS.current_reporting_threshold})`),
+    ],
     fromZigbee: [
         fzWindowCovering,
         fzWindowCoveringMfr,
+        fzJ1Profile,
         fzMetering,
         fzElectricalMeasurement,
         fzInputConfigurations,
@@ -526,8 +984,10 @@ const definition = {
     toZigbee: [
         tzWindowCovering,
         tzConfigureJ1,
+        tzJ1Profile,
         tzInputConfigurations,
         tzInputActions,
+        tzInputActionsStructured,
         tzMode,
         tzMeteringGet,
         tzElectricalGet,
@@ -542,75 +1002,110 @@ const definition = {
             commands: {}, commandsResponse: {},
         }),
     ],
-    exposes: [
-        // Cover control
-        e.cover_position_tilt(),
-
-        // Metering
-        e.power().withAccess(ea.STATE_GET),
-        e.energy().withAccess(ea.STATE_GET),
-
-        // Electrical measurements
-        e.voltage().withAccess(ea.STATE_GET),
-        e.current().withAccess(ea.STATE_GET),
-        e.numeric('ac_frequency', ea.STATE_GET).withUnit('Hz').withDescription('AC line frequency'),
-        e.numeric('active_power', ea.STATE_GET).withUnit('W').withDescription('Active power'),
-        e.numeric('reactive_power', ea.STATE_GET).withUnit('VAr').withDescription('Reactive power'),
-        e.numeric('apparent_power', ea.STATE_GET).withUnit('VA').withDescription('Apparent power'),
-        e.numeric('power_factor', ea.STATE_GET).withDescription('Power factor'),
-
-        // Device state
-        e.binary('moving', ea.STATE, true, false).withDescription('Whether the motor is currently moving'),
-        e.enum('movement', ea.STATE, ['stopped', 'opening', 'closing']).withDescription('Current movement direction'),
-
-        // Configuration
-        e.binary('motor_reversed', ea.ALL, true, false).withDescription('Reverse motor direction'),
-        e.binary('calibration_mode', ea.STATE, true, false).withDescription('Device is in calibration mode'),
-        e.enum('window_covering_type', ea.STATE, Object.values(WINDOW_COVERING_TYPES)).withDescription('Window covering type'),
-
-        // Calibration values
-        e.numeric('turnaround_guard_time', ea.STATE).withUnit('ms').withDescription('Guard time when reversing direction'),
-        e.numeric('lift_to_tilt_transition_steps', ea.STATE).withDescription('Steps for lift-to-tilt transition (down)'),
-        e.numeric('lift_to_tilt_transition_steps_2', ea.STATE).withDescription('Steps for tilt-to-lift transition (up)'),
-        e.numeric('total_steps', ea.STATE).withDescription('Total steps from open to closed'),
-        e.numeric('total_steps_2', ea.STATE).withDescription('Total steps from closed to open'),
-        e.numeric('additional_steps', ea.STATE).withUnit('%').withDescription('Additional steps to ensure reaching limit'),
-        e.numeric('inactive_power_threshold', ea.STATE).withUnit('mW').withDescription('Power threshold for detecting inactive motor'),
-        e.numeric('startup_steps', ea.STATE).withDescription('Steps before checking power threshold after startup'),
-
-        // Limits
-        e.numeric('installed_open_limit_lift_cm', ea.STATE).withUnit('cm').withDescription('Open limit for lift'),
-        e.numeric('installed_closed_limit_lift_cm', ea.STATE).withUnit('cm').withDescription('Closed limit for lift'),
-        e.numeric('installed_open_limit_tilt_ddeg', ea.STATE).withUnit('0.1°').withDescription('Open limit for tilt'),
-        e.numeric('installed_closed_limit_tilt_ddeg', ea.STATE).withUnit('0.1°').withDescription('Closed limit for tilt'),
-
-        // Input configuration
-        e.list('input_configurations', ea.ALL, e.numeric('value', ea.ALL)).withDescription('Input configuration flags (0x00=normal, 0x40=inverted, 0x80=disabled)'),
-        e.list('input_actions', ea.ALL, e.text('value', ea.ALL)).withDescription('Input action micro-code (hex strings)'),
-
-        // Configuration composite
-        e.composite('configure_j1', 'configure_j1', ea.SET)
-            .withDescription('Configure J1 device parameters')
-            .withFeature(e.numeric('windowCoveringType', ea.SET).withValueMin(0).withValueMax(9).withDescription('Window covering type (0-9)'))
-            .withFeature(e.numeric('configStatus', ea.SET).withDescription('Configuration status bitmap'))
-            .withFeature(e.numeric('installedOpenLimitLiftCm', ea.SET).withDescription('Open lift limit in cm'))
-            .withFeature(e.numeric('installedClosedLimitLiftCm', ea.SET).withDescription('Closed lift limit in cm'))
-            .withFeature(e.numeric('installedOpenLimitTiltDdegree', ea.SET).withDescription('Open tilt limit in 0.1°'))
-            .withFeature(e.numeric('installedClosedLimitTiltDdegree', ea.SET).withDescription('Closed tilt limit in 0.1°'))
-            .withFeature(e.numeric('turnaroundGuardTime', ea.SET).withDescription('Turnaround guard time in 50ms units'))
-            .withFeature(e.numeric('liftToTiltTransitionSteps', ea.SET).withDescription('Lift-to-tilt transition steps'))
-            .withFeature(e.numeric('totalSteps', ea.SET).withDescription('Total steps (open to closed)'))
-            .withFeature(e.numeric('liftToTiltTransitionSteps2', ea.SET).withDescription('Tilt-to-lift transition steps'))
-            .withFeature(e.numeric('totalSteps2', ea.SET).withDescription('Total steps (closed to open)'))
-            .withFeature(e.numeric('additionalSteps', ea.SET).withDescription('Additional steps percentage'))
-            .withFeature(e.numeric('inactivePowerThreshold', ea.SET).withDescription('Inactive power threshold in mW'))
-            .withFeature(e.numeric('startupSteps', ea.SET).withDescription('Startup steps'))
-            .withFeature(e.binary('calibrate', ea.SET, 1, 0).withDescription('Enter calibration mode (1=start, 0=exit)'))
-            .withFeature(e.numeric('open_to_closed_s', ea.SET).withDescription('Total time open to closed in seconds'))
-            .withFeature(e.numeric('closed_to_open_s', ea.SET).withDescription('Total time closed to open in seconds'))
-            .withFeature(e.numeric('lift_to_tilt_transition_ms', ea.SET).withDescription('Lift-to-tilt transition time in ms'))
-            .withFeature(e.numeric('steps_per_second', ea.SET).withDescription('Steps per second (default 50)')),
-    ],
+    exposes: (device, options) => {
+        const { lift, tilt, liftToTilt, positionControl, tiltControl } = getCoverCapabilities(device);
+        return [
+            // Cover control, with position and tilt only where the blind has them in closed loop
+            coverExpose(lift && positionControl, tilt && tiltControl),
+
+            // Metering
+            e.power().withAccess(ea.STATE_GET),
+            e.energy().withAccess(ea.STATE_GET),
+
+            // Electrical measurements
+            e.voltage().withAccess(ea.STATE_GET),
+            e.current().withAccess(ea.STATE_GET),
+            e.numeric('ac_frequency', ea.STATE_GET).withUnit('Hz').withDescription('AC line frequency'),
+            e.numeric('active_power', ea.STATE_GET).withUnit('W').withDescription('Active power'),
+            e.numeric('reactive_power', ea.STATE_GET).withUnit('VAr').withDescription('Reactive power'),
+            e.numeric('apparent_power', ea.STATE_GET).withUnit('VA').withDescription('Apparent power'),
+            e.numeric('power_factor', ea.STATE_GET).withDescription('Power factor'),
+
+            // Device state
+            e.binary('moving', ea.STATE, true, false).withDescription('Whether the motor is currently moving'),
+            e.enum('movement', ea.STATE, ['stopped', 'opening', 'closing']).withDescription('Current movement direction'),
+
+            // Configuration
+            e.binary('motor_reversed', ea.ALL, true, false).withDescription('Reverse motor direction'),
+            e.binary('calibration_mode', ea.STATE, true, false).withDescription('Device is in calibration mode'),
+            e.composite('calibration_progress', 'calibration_progress', ea.STATE)
+                .withDescription('Progress of the automated calibration run')
+                .withFeature(e.numeric('step', ea.STATE).withDescription('Current move (1-4)'))
+                .withFeature(e.text('direction', ea.STATE).withDescription('Direction of the current move'))
+                .withFeature(e.numeric('elapsed', ea.STATE).withUnit('s').withDescription('Time since the calibration started'))
+                .withFeature(e.text('result', ea.STATE).withDescription('running, success or failed'))
+                .withFeature(e.text('error', ea.STATE).withDescription('Why the calibration failed')),
+            e.enum('window_covering_type', ea.STATE, Object.values(WINDOW_COVERING_TYPES)).withDescription('Window covering type'),
+
+            // Calibration values
+            e.numeric('turnaround_guard_time', ea.STATE).withUnit('ms').withDescription('Guard time when reversing direction'),
+            ...(liftToTilt ? [
+                e.numeric('lift_to_tilt_transition_steps', ea.STATE).withDescription('Steps for lift-to-tilt transition (down)'),
+                e.numeric('lift_to_tilt_transition_steps_2', ea.STATE).withDescription('Steps for tilt-to-lift transition (up)'),
+            ] : []),
+            e.numeric('total_steps', ea.STATE).withDescription('Total steps from open to closed'),
+            e.numeric('total_steps_2', ea.STATE).withDescription('Total steps from closed to open'),
+            e.numeric('additional_steps', ea.STATE).withUnit('%').withDescription('Additional steps to ensure reaching limit'),
+            e.numeric('inactive_power_threshold', ea.STATE).withUnit('mW').withDescription('Power threshold for detecting inactive motor'),
+            e.numeric('startup_steps', ea.STATE).withDescription('Steps before checking power threshold after startup'),
+
+            // Limits
+            ...(lift ? [
+                e.numeric('installed_open_limit_lift_cm', ea.STATE).withUnit('cm').withDescription('Open limit for lift'),
+                e.numeric('installed_closed_limit_lift_cm', ea.STATE).withUnit('cm').withDescription('Closed limit for lift'),
+            ] : []),
+            ...(tilt ? [
+                e.numeric('installed_open_limit_tilt_ddeg', ea.STATE).withUnit('0.1°').withDescription('Open limit for tilt'),
+                e.numeric('installed_closed_limit_tilt_ddeg', ea.STATE).withUnit('0.1°').withDescription('Closed limit for tilt'),
+            ] : []),
+
+            // Input configuration
+            e.list('input_configurations', ea.ALL, e.numeric('value', ea.ALL)).withDescription('Input configuration flags (0x00=normal, 0x40=inverted, 0x80=disabled)'),
+            e.list('input_actions', ea.ALL, e.text('value', ea.ALL)).withDescription('Input action micro-code (hex strings)'),
+            e.list('input_actions_structured', ea.ALL, e.composite('input_action', 'input_action', ea.ALL)
+                .withFeature(e.numeric('input', ea.ALL))
+                .withFeature(e.text('transition', ea.ALL))
+                .withFeature(e.numeric('alternate', ea.ALL).withValueMin(0).withValueMax(1))
+                .withFeature(e.numeric('endpoint', ea.ALL))
+                .withFeature(e.text('cluster', ea.ALL))
+                .withFeature(e.text('command', ea.ALL))
+                .withFeature(e.text('payload', ea.ALL)))
+                .withDescription('Input actions as objects: {input, transition, alternate, endpoint, cluster, command, payload (hex)}'),
+
+            // Commissioning profile
+            e.composite('j1_profile', 'j1_profile', ea.ALL)
+                .withDescription('Commission the J1 for a kind of blind; reads back the matching profile (custom if none matches)')
+                .withFeature(e.enum('profile', ea.ALL, [...Object.keys(J1_PROFILES), 'custom']).withDescription('Kind of blind'))
+                .withFeature(e.numeric('open_to_closed_s', ea.ALL).withUnit('s').withDescription('Travel time from open to closed (optional, learned by calibration)'))
+                .withFeature(e.numeric('closed_to_open_s', ea.ALL).withUnit('s').withDescription('Travel time from closed to open (defaults to open_to_closed_s)'))
+                .withFeature(e.numeric('tilt_ms', ea.ALL).withUnit('ms').withDescription('Time to turn the slats from open to closed (venetian_blind only)'))
+                .withFeature(e.numeric('steps_per_second', ea.SET).withDescription(`Steps per second (default ${DEFAULT_STEPS_PER_SECOND})`)),
+
+            // Configuration composite
+            e.composite('configure_j1', 'configure_j1', ea.SET)
+                .withDescription('Configure J1 device parameters')
+                .withFeature(e.numeric('windowCoveringType', ea.SET).withValueMin(0).withValueMax(9).withDescription('Window covering type (0-9)'))
+                .withFeature(e.numeric('configStatus', ea.SET).withDescription('Configuration status bitmap'))
+                .withFeature(e.numeric('installedOpenLimitLiftCm', ea.SET).withDescription('Open lift limit in cm'))
+                .withFeature(e.numeric('installedClosedLimitLiftCm', ea.SET).withDescription('Closed lift limit in cm'))
+                .withFeature(e.numeric('installedOpenLimitTiltDdegree', ea.SET).withDescription('Open tilt limit in 0.1°'))
+                .withFeature(e.numeric('installedClosedLimitTiltDdegree', ea.SET).withDescription('Closed tilt limit in 0.1°'))
+                .withFeature(e.numeric('turnaroundGuardTime', ea.SET).withDescription('Turnaround guard time in 50ms units'))
+                .withFeature(e.numeric('liftToTiltTransitionSteps', ea.SET).withDescription('Lift-to-tilt transition steps'))
+                .withFeature(e.numeric('totalSteps', ea.SET).withDescription('Total steps (open to closed)'))
+                .withFeature(e.numeric('liftToTiltTransitionSteps2', ea.SET).withDescription('Tilt-to-lift transition steps'))
+                .withFeature(e.numeric('totalSteps2', ea.SET).withDescription('Total steps (closed to open)'))
+                .withFeature(e.numeric('additionalSteps', ea.SET).withDescription('Additional steps percentage'))
+                .withFeature(e.numeric('inactivePowerThreshold', ea.SET).withDescription('Inactive power threshold in mW'))
+                .withFeature(e.numeric('startupSteps', ea.SET).withDescription('Startup steps'))
+                .withFeature(e.binary('calibrate', ea.SET, 1, 0).withDescription('Run the calibration (1=start, 0=abort/exit)'))
+                .withFeature(e.numeric('calibration_timeout_s', ea.SET).withDescription(`Maximum time for one full travel during calibration (default ${CALIBRATION_STEP_TIMEOUT_S})`))
+                .withFeature(e.numeric('open_to_closed_s', ea.SET).withDescription('Total time open to closed in seconds'))
+                .withFeature(e.numeric('closed_to_open_s', ea.SET).withDescription('Total time closed to open in seconds'))
+                .withFeature(e.numeric('lift_to_tilt_transition_ms', ea.SET).withDescription('Lift-to-tilt transition time in ms'))
+                .withFeature(e.numeric('steps_per_second', ea.SET).withDescription(`Steps per second (default ${DEFAULT_STEPS_PER_SECOND})`)),
+        ];
+    },
     endpoint: (device) => {
         return {
             default: 1,
@@ -629,7 +1124,7 @@ const definition = {
         if (endpoint1) {
             try {
                 await endpoint1.read('closuresWindowCovering', [
-                    'windowCoveringType', 'configStatus', 'mode',
+                    'windowCoveringType', 'configStatus', 'mode', 'operationalStatus',
                     'currentPositionLiftPercentage', 'currentPositionTiltPercentage',
                     'installedOpenLimitLift', 'installedClosedLimitLift',
                     'installedOpenLimitTilt', 'installedClosedLimitTilt',
@@ -639,20 +1134,6 @@ const definition = {
                 await endpoint1.read('closuresWindowCovering',
                     [0x1000, 0x1001, 0x1002, 0x1003, 0x1004, 0x1005, 0x1006, 0x1007],
                     { manufacturerCode: UBISYS_MANUFACTURER_CODE });
-
-                // Configure reporting for position
-                await endpoint1.configureReporting('closuresWindowCovering', [{
-                    attribute: 'currentPositionLiftPercentage',
-                    minimumReportInterval: 1,
-                    maximumReportInterval: 300,
-                    reportableChange: 1,
-                }]);
-                await endpoint1.configureReporting('closuresWindowCovering', [{
-                    attribute: 'currentPositionTiltPercentage',
-                    minimumReportInterval: 1,
-                    maximumReportInterval: 300,
-                    reportableChange: 1,
-                }]);
             } catch (e) {
                 console.warn(`ubisys J1: Failed to configure endpoint 1: ${e.message}`);
             }
@@ -662,6 +1143,9 @@ const definition = {
         const endpoint3 = device.getEndpoint(3);
         if (endpoint3) {
             try {
+                // Scaling first, zigbee-herdsman caches it for fzMetering and fzElectricalMeasurement
+                await endpoint3.read('seMetering', ['multiplier', 'divisor']);
+                await endpoint3.read('haElectricalMeasurement', Object.values(ELECTRICAL_SCALING).flatMap(s => [s.multiplier, s.divisor]));
                 await endpoint3.read('seMetering', ['currentSummDelivered', 'instantaneousDemand']);
                 await endpoint3.read('haElectricalMeasurement', [
                     'rmsVoltage', 'rmsCurrent', 'acFrequency',
@@ -672,6 +1156,10 @@ const definition = {
             }
         }
 
+        // Reporting, after the scaling has been read so the default thresholds are in true units
+        // With the options last seen in onEvent, so a reconfigure keeps tuned thresholds
+        await configureJ1Reporting(device, coordinatorEndpoint, device.meta?.ubisysReportingOptions);
+
         // Endpoint 232: Device setup
         const setupEp = device.getEndpoint(232);
         if (setupEp) {
@@ -682,6 +1170,19 @@ const definition = {
             }
         }
     },
+    onEvent: async (event) => {
+        // Device options are not available in configure, and a rejoined device may have lost its reporting
+        if (event.type === 'deviceOptionsChanged') {
+            const { from, to, device } = event.data;
+            if (Object.keys(METERING_REPORTING_DEFAULTS).some(key => from?.[key] !== to?.[key])) {
+                rememberReportingOptions(device, to);
+                await configureJ1Reporting(device, undefined, to);
+            }
+        } else if (event.type === 'deviceAnnounce') {
+            rememberReportingOptions(event.data.device, event.data.options);
+            await configureJ1Reporting(event.data.device, undefined, event.data.options);
+        }
+    },
     ota: true,
 };
 
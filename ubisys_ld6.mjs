@@ -8,8 +8,10 @@
 
 import * as m from 'zigbee-herdsman-converters/lib/modernExtend';
 import * as exposes from 'zigbee-herdsman-converters/lib/exposes';
+import { Color } from 'zigbee-herdsman-converters/lib/color';
 import { Zcl } from 'zigbee-herdsman';
 import { Buffer } from 'buffer';
+import { decodeInputAction, encodeInputAction, encodeInputActions } from './ubisys/input_actions.mjs';
 
 const e = exposes.presets || (exposes.default && exposes.default.presets) || exposes;
 const ea = exposes.access || (exposes.default && exposes.default.access);
@@ -36,6 +38,220 @@ const OUTPUT_CONFIGURATIONS = {
     '6x_dimmable': { description: '6x Dimmable (mono)', data: [[0x10, 0xff, 0xff, 0xff, 0xff, 0xff], [0x50, 0xff, 0xff, 0xff, 0xff, 0xff], [0x60, 0xff, 0xff, 0xff, 0xff, 0xff], [0x70, 0xff, 0xff, 0xff, 0xff, 0xff], [0x80, 0xff, 0xff, 0xff, 0xff, 0xff], [0x90, 0xff, 0xff, 0xff, 0xff, 0xff]] },
 };
 
+// Output channel functions (low nibble of the first byte of each output configuration element)
+const OUTPUT_FUNCTIONS = {
+    0: 'brightness',
+    1: 'white_1',
+    2: 'white_2',
+    3: 'red',
+    4: 'green',
+    5: 'blue',
+};
+
+/**
+ * Decodes one outputConfigurations element into a structured channel description.
+ * Unused or uncalibrated values (0xff / 0xffff) are reported as null.
+ * @param {Buffer} buf - Raw element [endpoint << 4 | function, flux, x (LE16), y (LE16)]
+ * @param {number} index - Channel index (0-5)
+ * @returns {Object} {channel, endpoint, function, flux, x, y}
+ */
+function decodeOutputChannel(buf, index) {
+    const el = Buffer.from(buf);
+    const func = el[0] & 0x0F;
+    const x = el.readUInt16LE(2);
+    const y = el.readUInt16LE(4);
+    return {
+        channel: index + 1,
+        endpoint: (el[0] >> 4) & 0x0F,
+        function: OUTPUT_FUNCTIONS[func] ?? func,
+        flux: el[1] === 0xFF ? null : el[1],
+        x: x === 0xFFFF ? null : Math.round(x / 65536 * 100000) / 100000,
+        y: y === 0xFFFF ? null : Math.round(y / 65536 * 100000) / 100000,
+    };
+}
+
+/**
+ * Encodes a structured channel description into an outputConfigurations element.
+ * @param {Object} channel - {endpoint, function, flux, x, y} (see decodeOutputChannel)
+ * @param {number} index - Channel index (0-5), used for error messages
+ * @returns {Buffer} Raw 6 byte element
+ */
+function encodeOutputChannel(channel, index) {
+    const fail = (msg) => { throw new Error(`Invalid output channel ${index + 1}: ${msg}`); };
+    const isInt = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+
+    const endpoint = channel.endpoint ?? 0;
+    if (!isInt(endpoint, 0, 15)) fail('"endpoint" must be an integer between 0 and 15');
+
+    let func = channel.function ?? 0;
+    if (typeof func === 'string') {
+        const code = Object.keys(OUTPUT_FUNCTIONS).find(k => OUTPUT_FUNCTIONS[k] === func);
+        if (code === undefined) fail(`unknown "function" '${func}', expected one of ${Object.values(OUTPUT_FUNCTIONS).join(', ')} or 0-15`);
+        func = Number(code);
+    } else if (!isInt(func, 0, 15)) {
+        fail('numeric "function" must be between 0 and 15');
+    }
+
+    // 0xFF means "not calibrated", that is only written for null
+    if (channel.flux !== undefined && channel.flux !== null && !isInt(channel.flux, 0, 254)) {
+        fail('"flux" must be an integer between 0 and 254 (or null)');
+    }
+    const flux = channel.flux ?? 0xFF;
+
+    const coordinate = (name) => {
+        const v = channel[name];
+        if (v === undefined || v === null) return 0xFFFF;
+        // Values close to 1 would round to 0xFFFF ("not calibrated") or overflow
+        const raw = typeof v === 'number' && v >= 0 ? Math.round(v * 65536) : NaN;
+        if (!(raw < 0xFFFF)) fail(`"${name}" must be a number between 0 and 1 (or null)`);
+        return raw;
+    };
+
+    const el = Buffer.alloc(6);
+    el[0] = (endpoint << 4) | func;
+    el[1] = flux;
+    el.writeUInt16LE(coordinate('x'), 2);
+    el.writeUInt16LE(coordinate('y'), 4);
+    return el;
+}
+
+/**
+ * Parses a list of structured channels (array or JSON string) into the six outputConfigurations elements.
+ * Channels that are not listed are written as unused.
+ * @param {Array|string} value - Structured output channels
+ * @returns {Array<Buffer>} Six raw elements
+ */
+function encodeOutputChannels(value) {
+    let channels = value;
+    if (typeof value === 'string') {
+        try {
+            channels = JSON.parse(value);
+        } catch (err) {
+            throw new Error(`Invalid output channels JSON: ${err.message}`);
+        }
+    }
+    if (!Array.isArray(channels) || channels.length > 6) throw new Error('Output channels must be a list of up to 6 objects');
+
+    const elements = Array.from({ length: 6 }, () => Buffer.from([0x00, 0xff, 0xff, 0xff, 0xff, 0xff]));
+    const seen = new Set();
+    channels.forEach((channel, i) => {
+        if (!channel || typeof channel !== 'object') throw new Error(`Invalid output channel entry #${i}: must be an object`);
+        const number = channel.channel ?? i + 1;
+        if (!Number.isInteger(number) || number < 1 || number > 6) throw new Error(`Invalid output channel entry #${i}: "channel" must be between 1 and 6`);
+        if (seen.has(number)) throw new Error(`Invalid output channel entry #${i}: channel ${number} is listed twice`);
+        seen.add(number);
+        elements[number - 1] = encodeOutputChannel(channel, number - 1);
+    });
+    return elements;
+}
+
+// Endpoints that can host a light (l1..l6)
+const LIGHT_ENDPOINTS = [1, 5, 6, 7, 8, 9];
+
+/**
+ * Validates a complete outputConfigurations layout before it is written to the device.
+ * Throws an error naming the offending channel and rule.
+ * @param {Array<Buffer|Array>} elements - Six raw output configuration elements
+ */
+function validateOutputConfiguration(elements) {
+    const fail = (channel, msg) => { throw new Error(`Invalid output configuration: channel ${channel}: ${msg}`); };
+    if (!Array.isArray(elements) || elements.length !== 6) {
+        throw new Error(`Invalid output configuration: expected 6 channels, got ${Array.isArray(elements) ? elements.length : 0}`);
+    }
+
+    const endpoints = {};
+    elements.forEach((buf, i) => {
+        const el = Buffer.from(buf);
+        const channel = i + 1;
+        if (el.length !== 6) fail(channel, `expected 6 bytes, got ${el.length}`);
+
+        const { endpoint, function: func } = decodeOutputChannel(el, i);
+        const funcCode = el[0] & 0x0F;
+        if (endpoint === 0) {
+            if (funcCode !== 0) fail(channel, `unused channel (endpoint 0) must not have function '${func}'`);
+            return;
+        }
+        if (!LIGHT_ENDPOINTS.includes(endpoint)) fail(channel, `endpoint ${endpoint} is not a light endpoint (1, 5-9)`);
+        if (funcCode > 9) fail(channel, `function ${funcCode} is not supported`);
+        if (funcCode !== 0 && (el.readUInt16LE(2) === 0xFFFF || el.readUInt16LE(4) === 0xFFFF)) {
+            fail(channel, `function '${func}' requires calibrated x/y coordinates`);
+        }
+
+        endpoints[endpoint] = endpoints[endpoint] || {};
+        const other = endpoints[endpoint][funcCode];
+        if (other) fail(channel, `function '${func}' on endpoint ${endpoint} is already used by channel ${other}`);
+        endpoints[endpoint][funcCode] = channel;
+    });
+
+    Object.entries(endpoints).forEach(([endpoint, funcs]) => {
+        const codes = Object.keys(funcs).map(Number);
+        const first = Math.min(...Object.values(funcs));
+        const colors = codes.filter(c => c >= 3);
+        const whites = codes.filter(c => c === 1 || c === 2);
+        if (codes.includes(0) && codes.length > 1) {
+            fail(funcs[0], `'brightness' channel cannot share endpoint ${endpoint} with other functions`);
+        }
+        if (colors.length > 0 && colors.length < 3) {
+            fail(first, `color endpoint ${endpoint} needs at least 3 color primaries, got ${colors.length}`);
+        }
+        if (colors.length === 0 && whites.length === 1) {
+            fail(funcs[whites[0]], `CCT endpoint ${endpoint} needs both white primaries (white_1 and white_2)`);
+        }
+    });
+}
+
+/**
+ * Returns the predefined output modes merged with the user-defined ones from the
+ * 'custom_output_modes' device option. Invalid user modes are skipped with a warning.
+ * @param {Object} options - Device options
+ * @returns {Object} Output modes keyed by name: {description, data}
+ */
+function getOutputModes(options) {
+    let custom = options?.custom_output_modes;
+    if (!custom) return OUTPUT_CONFIGURATIONS;
+    if (typeof custom === 'string') {
+        try {
+            custom = JSON.parse(custom);
+        } catch (e) {
+            console.warn(`ubisys LD6: Ignoring custom_output_modes, invalid JSON: ${e.message}`);
+            return OUTPUT_CONFIGURATIONS;
+        }
+    }
+
+    const modes = { ...OUTPUT_CONFIGURATIONS };
+    Object.entries(custom).forEach(([name, mode]) => {
+        try {
+            if (name === 'custom' || OUTPUT_CONFIGURATIONS[name]) throw new Error('name is reserved by a predefined mode');
+            const data = encodeOutputChannels(mode?.channels);
+            validateOutputConfiguration(data);
+            modes[name] = { description: mode.description || name, data };
+        } catch (e) {
+            console.warn(`ubisys LD6: Ignoring custom output mode '${name}': ${e.message}`);
+        }
+    });
+    return modes;
+}
+
+/**
+ * Finds the output mode matching a read-back outputConfigurations layout.
+ * An exact match wins; otherwise only endpoints and functions are compared, so
+ * recalibrated channels still report their mode.
+ * @param {Array<Buffer>} elements - Six raw output configuration elements
+ * @param {Object} modes - Output modes to match against (see getOutputModes)
+ * @returns {string} Key of the matching mode or 'custom'
+ */
+function matchOutputMode(elements, modes) {
+    const bufs = elements.map(buf => Buffer.from(buf));
+    const names = Object.keys(modes);
+    const sameLength = (data) => data.length === bufs.length;
+    const exact = names.find(name => sameLength(modes[name].data) &&
+        modes[name].data.every((el, i) => bufs[i].equals(Buffer.from(el))));
+    if (exact) return exact;
+    const layout = names.find(name => sameLength(modes[name].data) &&
+        modes[name].data.every((el, i) => bufs[i][0] === el[0]));
+    return layout || 'custom';
+}
+
 const fzOutputConfiguration = {
     cluster: 'manuSpecificUbisysDeviceSetup',
     type: ['attributeReport', 'readResponse'],
@@ -43,7 +259,19 @@ const fzOutputConfiguration = {
         if (msg.data.outputConfigurations) {
             const elements = msg.data.outputConfigurations.map(buf => [buf.length, ...buf]);
             const raw = Buffer.from([0x48, 0x41, 0x06, 0x00, ...elements.flat()]).toString('hex');
-            return { output_configuration_raw: raw };
+            const modes = getOutputModes(options);
+            const mode = matchOutputMode(msg.data.outputConfigurations, modes);
+            const result = {
+                output_configuration_raw: raw,
+                output_channels: msg.data.outputConfigurations.map(decodeOutputChannel),
+                output_mode: mode,
+                output_mode_description: mode === 'custom' ? 'Custom configuration' : modes[mode].description,
+            };
+            LIGHT_ENDPOINTS.forEach((epNum) => {
+                const gamut = getGamut(msg.data.outputConfigurations, epNum);
+                if (gamut) result[`gamut_${getLightName(epNum)}`] = gamut.map(([x, y]) => ({ x, y }));
+            });
+            return result;
         }
     },
 };
@@ -52,21 +280,21 @@ const fzOutputConfiguration = {
 const tzOutputConfiguration = {
     key: ['output_mode'],
     convertSet: async (entity, key, value, meta) => {
-        const config = OUTPUT_CONFIGURATIONS[value];
+        if (value === 'custom') throw new Error('Mode "custom" cannot be selected, use output_channels or output_configuration instead');
+        const config = getOutputModes(meta.options)[value];
         if (!config) throw new Error(`Unknown mode: ${value}`);
 
         // Write all 6 output slots to the device at once
+        validateOutputConfiguration(config.data);
         await writeSetupAttribute(meta.device, 0x0010, config.data);
 
-        // Read back the configuration so 'exposes' can update immediately
-        try {
-            await getSetupEndpoint(meta.device).read('manuSpecificUbisysDeviceSetup', ['outputConfigurations']);
-        } catch (e) {
-            // Ignore but log.
-            console.error(e);
-        }
+        // The device rebuilds its endpoints, pick them up so 'exposes' matches the new mode
+        const status = await rediscoverEndpoints(meta, config.data);
 
-        return { state: { output_mode: value } };
+        return { state: { output_mode: value, output_mode_description: config.description, reconfiguration_status: status } };
+    },
+    convertGet: async (entity, key, meta) => {
+        await getSetupEndpoint(meta.device).read('manuSpecificUbisysDeviceSetup', ['outputConfigurations']);
     },
 };
 
@@ -82,6 +310,68 @@ function xyToMireds(x, y) {
     return Math.round(1000000 / cct);
 }
 
+// Named white points accepted by the calibration helper (in Kelvin, on the Planckian locus)
+const NAMED_WHITES = {
+    candle: 1900,
+    warm: 2700,
+    soft: 3000,
+    neutral: 4000,
+    cool: 5000,
+    daylight: 6500,
+};
+
+/**
+ * Converts CIE xy to CIE 1960 uv.
+ * @param {number} x - CIE x coordinate
+ * @param {number} y - CIE y coordinate
+ * @returns {Array<number>} [u, v]
+ */
+function xyToUv(x, y) {
+    const d = -2 * x + 12 * y + 3;
+    return [4 * x / d, 6 * y / d];
+}
+
+/**
+ * Approximates the Planckian locus in CIE xy (Kim et al., 1667K - 25000K).
+ * @param {number} kelvin - Color temperature
+ * @returns {Array<number>} [x, y]
+ */
+function planckianXy(kelvin) {
+    const t = kelvin;
+    const x = t <= 4000
+        ? -0.2661239e9 / t ** 3 - 0.2343589e6 / t ** 2 + 0.8776956e3 / t + 0.179910
+        : -3.0258469e9 / t ** 3 + 2.1070379e6 / t ** 2 + 0.2226347e3 / t + 0.240390;
+    let y;
+    if (t <= 2222) y = -1.1063814 * x ** 3 - 1.34811020 * x ** 2 + 2.18555832 * x - 0.20219683;
+    else if (t <= 4000) y = -0.9549476 * x ** 3 - 1.37418593 * x ** 2 + 2.09137015 * x - 0.16748867;
+    else y = 3.0817580 * x ** 3 - 5.87338670 * x ** 2 + 3.75112997 * x - 0.37001483;
+    return [x, y];
+}
+
+/**
+ * Converts a color temperature to CIE xy on the Planckian locus, optionally shifted by Duv
+ * perpendicular to it (positive = towards green).
+ * @param {number} kelvin - Color temperature (1667 - 25000)
+ * @param {number} duv - Distance from the locus in CIE 1960 uv (default 0)
+ * @returns {Array<number>} [x, y]
+ */
+function kelvinToXy(kelvin, duv = 0) {
+    const [x, y] = planckianXy(kelvin);
+    if (!duv) return [x, y];
+
+    // Unit normal of the locus in uv space at this point. u decreases with temperature,
+    // so (dv, -du) points towards increasing v (above the locus).
+    const t1 = Math.min(kelvin + 1, 25000);
+    const [uA, vA] = xyToUv(...planckianXy(t1 - 1));
+    const [uB, vB] = xyToUv(...planckianXy(t1));
+    const len = Math.hypot(uB - uA, vB - vA);
+    const [u0, v0] = xyToUv(x, y);
+    const u = u0 + duv * (vB - vA) / len;
+    const v = v0 - duv * (uB - uA) / len;
+    const d = 2 * u - 8 * v + 4;
+    return [3 * u / d, 2 * v / d];
+}
+
 /**
  * Safely retrieves the ubisys device setup endpoint (232).
  * @param {Device} device - zigbee-herdsman device object
@@ -93,6 +383,20 @@ function getSetupEndpoint(device) {
     return ep;
 }
 
+// Largest anonymous join timeout, the range of the UINT24 attribute and command parameter
+const ANONYMOUS_JOIN_TIMEOUT_MAX = 0xFFFFFF;
+
+/**
+ * Retrieves the endpoint hosting the Zigbee Direct configuration cluster.
+ * @param {Device} device - zigbee-herdsman device object
+ * @returns {Endpoint} The endpoint or throws if the cluster is not found.
+ */
+function getZigbeeDirectEndpoint(device) {
+    const ep = device.endpoints.find(ep => ep.supportsInputCluster('zigbeeDirectConfiguration'));
+    if (!ep) throw new Error('ubisys Zigbee Direct configuration cluster (0x003d) not found');
+    return ep;
+}
+
 /**
  * Writes a structured attribute to the manufacturer-specific setup cluster.
  * @param {Device} device - zigbee-herdsman device
@@ -108,21 +412,1240 @@ async function writeSetupAttribute(device, attrId, elements, dataType = Zcl.Data
     }]);
 }
 
+// Bits of the ubisys lightingColorCtrl.advancedOptions attribute (bit 0, 1, 2...)
+const ADVANCED_OPTIONS = [
+    'advanced_options_no_color_white',
+    'advanced_options_no_first_white_color',
+    'advanced_options_no_second_white_color',
+    'advanced_options_ignore_color_temp_range',
+    'advanced_options_constant_luminous_flux',
+];
+
 /**
- * Resolves a bitfield value for advanced options based on the current state.
- * @param {Object} state - Current device state
+ * Resolves a bitfield value for advanced options based on the endpoint's current value.
+ * @param {number} current - Current advancedOptions bitmask of the endpoint
  * @param {string} key - The key being set
  * @param {boolean} value - New value for the key
- * @param {Array} bitMapping - List of keys mapping to bits 0, 1, 2...
  * @returns {number} The combined bitmask
  */
-function resolveAdvancedOptions(state, key, value, bitMapping) {
-    let mask = 0;
-    bitMapping.forEach((mappedKey, index) => {
-        const val = (key === mappedKey) ? value : (state[mappedKey] || false);
-        if (val) mask |= (1 << index);
+function resolveAdvancedOptions(current, key, value) {
+    const bit = 1 << ADVANCED_OPTIONS.indexOf(key);
+    return value ? (current | bit) : (current & ~bit);
+}
+
+/**
+ * Maps a light endpoint number to its endpoint name (1 -> l1, 5 -> l2, ... 9 -> l6).
+ * @param {number} epNum - Light endpoint number
+ * @returns {string} Endpoint name
+ */
+function getLightName(epNum) {
+    return epNum === 1 ? 'l1' : `l${epNum === 5 ? 2 : epNum - 3}`;
+}
+
+// Input endpoints, they send the commands programmed in input_actions
+const INPUT_ENDPOINTS = { 2: 's1', 3: 's2', 4: 's3' };
+
+// Commands the inputs send, mapped to the action they publish (plus extra action_* properties)
+const INPUT_COMMANDS = {
+    genOnOff: {
+        commandOn: () => ({ action: 'on' }),
+        commandOff: () => ({ action: 'off' }),
+        commandOffWithEffect: () => ({ action: 'off' }),
+        commandOnWithTimedOff: (d) => ({ action: 'on', action_on_time: d.ontime / 10 }),
+        commandToggle: () => ({ action: 'toggle' }),
+    },
+    genLevelCtrl: {
+        commandMoveToLevel: (d) => ({ action: 'brightness_move_to_level', action_level: d.level, action_transition_time: d.transtime / 10 }),
+        commandMoveToLevelWithOnOff: (d) => ({ action: 'brightness_move_to_level', action_level: d.level, action_transition_time: d.transtime / 10 }),
+        commandMove: (d) => ({ action: `brightness_move_${d.movemode ? 'down' : 'up'}`, action_rate: d.rate }),
+        commandMoveWithOnOff: (d) => ({ action: `brightness_move_${d.movemode ? 'down' : 'up'}`, action_rate: d.rate }),
+        commandStep: (d) => ({ action: `brightness_step_${d.stepmode ? 'down' : 'up'}`, action_step_size: d.stepsize, action_transition_time: d.transtime / 10 }),
+        commandStepWithOnOff: (d) => ({ action: `brightness_step_${d.stepmode ? 'down' : 'up'}`, action_step_size: d.stepsize, action_transition_time: d.transtime / 10 }),
+        commandStop: () => ({ action: 'brightness_stop' }),
+        commandStopWithOnOff: () => ({ action: 'brightness_stop' }),
+    },
+    lightingColorCtrl: {
+        commandMoveToColorTemp: (d) => ({ action: 'color_temperature_move', action_color_temperature: d.colortemp, action_transition_time: d.transtime / 10 }),
+        commandMoveColorTemp: (d) => ({ action: d.movemode ? `color_temperature_move_${d.movemode === 1 ? 'up' : 'down'}` : 'color_stop', action_rate: d.rate }),
+        commandStepColorTemp: (d) => ({ action: `color_temperature_step_${d.stepmode === 1 ? 'up' : 'down'}`, action_step_size: d.stepsize, action_transition_time: d.transtime / 10 }),
+        commandMoveToColor: (d) => ({ action: 'color_move', action_color: { x: d.colorx / 65535, y: d.colory / 65535 }, action_transition_time: d.transtime / 10 }),
+        commandMoveToHueAndSaturation: (d) => ({ action: 'hue_move', action_hue: d.hue, action_saturation: d.saturation }),
+        commandEnhancedMoveToHueAndSaturation: (d) => ({ action: 'hue_move', action_hue: d.enhancehue, action_saturation: d.saturation }),
+        commandMoveToHue: (d) => ({ action: 'hue_move', action_hue: d.hue }),
+        commandMoveHue: (d) => ({ action: d.movemode ? `hue_move_${d.movemode === 1 ? 'up' : 'down'}` : 'color_stop', action_rate: d.rate }),
+        commandStopMoveStep: () => ({ action: 'color_stop' }),
+    },
+    closuresWindowCovering: {
+        commandUpOpen: () => ({ action: 'open' }),
+        commandDownClose: () => ({ action: 'close' }),
+        commandStop: () => ({ action: 'stop' }),
+        commandGoToLiftPercentage: (d) => ({ action: 'go_to_lift_percentage', action_position: d.percentageliftvalue }),
+        commandGoToTiltPercentage: (d) => ({ action: 'go_to_tilt_percentage', action_tilt: d.percentagetiltvalue }),
+    },
+    genScenes: {
+        commandRecall: (d) => ({ action: 'recall', action_group: d.groupid, action_scene: d.sceneid }),
+    },
+};
+
+const INPUT_ACTIONS = [
+    'on', 'off', 'toggle',
+    'brightness_move_to_level', 'brightness_move_up', 'brightness_move_down', 'brightness_step_up', 'brightness_step_down', 'brightness_stop',
+    'color_temperature_move', 'color_temperature_move_up', 'color_temperature_move_down', 'color_temperature_step_up', 'color_temperature_step_down',
+    'color_move', 'hue_move', 'hue_move_up', 'hue_move_down', 'color_stop',
+    'open', 'close', 'stop', 'go_to_lift_percentage', 'go_to_tilt_percentage',
+    'recall',
+];
+
+// fromZigbee converters publishing the commands of s1-s3 as '<input>_<action>' (e.g. s2_brightness_move_up)
+const fzInputCommands = Object.entries(INPUT_COMMANDS).map(([cluster, commands]) => ({
+    cluster,
+    type: Object.keys(commands),
+    convert: (model, msg, publish, options, meta) => {
+        const input = INPUT_ENDPOINTS[msg.endpoint.ID];
+        if (!input) return;
+        const result = commands[msg.type](msg.data);
+        result.action = `${input}_${result.action}`;
+        return result;
+    },
+}));
+
+// Presets for input_wiring: the capability the target light needs, the clusters bound locally
+// and the input actions generated for the input (input and endpoint are filled in)
+const INPUT_WIRING_BEHAVIORS = {
+    toggle: {
+        requires: 'hasOnOff', clusters: ['genOnOff'],
+        actions: [{ transition: 'short', cluster: 'genOnOff', command: 'toggle' }],
+    },
+    on: {
+        requires: 'hasOnOff', clusters: ['genOnOff'],
+        actions: [{ transition: 'press', cluster: 'genOnOff', command: 'on' }],
+    },
+    off: {
+        requires: 'hasOnOff', clusters: ['genOnOff'],
+        actions: [{ transition: 'press', cluster: 'genOnOff', command: 'off' }],
+    },
+    // Short press toggles, long press dims up and down alternately
+    toggle_dim: {
+        requires: 'hasBrightness', clusters: ['genOnOff', 'genLevelCtrl'],
+        actions: [
+            { transition: 'short', cluster: 'genOnOff', command: 'toggle' },
+            { transition: 'long', alternate: 0, cluster: 'genLevelCtrl', command: 'moveWithOnOff', payload: '0032' },
+            { transition: 'long', alternate: 1, cluster: 'genLevelCtrl', command: 'moveWithOnOff', payload: '0132' },
+            { transition: 'long_release', cluster: 'genLevelCtrl', command: 'stopWithOnOff' },
+        ],
+    },
+    // Short press toggles, long press moves the color temperature warmer and cooler alternately
+    cct_up_down: {
+        requires: 'hasColorTemp', clusters: ['genOnOff', 'lightingColorCtrl'],
+        actions: [
+            { transition: 'short', cluster: 'genOnOff', command: 'toggle' },
+            { transition: 'long', alternate: 0, cluster: 'lightingColorCtrl', command: 'moveColorTemp', payload: '01320000000000' },
+            { transition: 'long', alternate: 1, cluster: 'lightingColorCtrl', command: 'moveColorTemp', payload: '03320000000000' },
+            { transition: 'long_release', cluster: 'lightingColorCtrl', command: 'stopMoveStep' },
+        ],
+    },
+};
+
+// Clusters input_wiring binds from the inputs to the lights
+const INPUT_WIRING_CLUSTERS = ['genOnOff', 'genLevelCtrl', 'lightingColorCtrl'];
+
+/**
+ * Generates the input action elements of a wiring preset for one input.
+ * @param {number} epNum - Input endpoint number (2-4)
+ * @param {string} behavior - Key of INPUT_WIRING_BEHAVIORS
+ * @returns {Array<Buffer>} Raw input action elements
+ */
+function buildWiringActions(epNum, behavior) {
+    return INPUT_WIRING_BEHAVIORS[behavior].actions.map((action, i) =>
+        encodeInputAction({ payload: '', ...action, input: epNum - 2, endpoint: epNum }, i));
+}
+
+/**
+ * Lists the local light endpoints an input endpoint is bound to.
+ * @param {Device} device - zigbee-herdsman device
+ * @param {Endpoint} ep - Input endpoint
+ * @returns {Array<string>} Light names (l1-l6)
+ */
+function getBoundLights(device, ep) {
+    const lights = new Set();
+    (ep.binds || []).forEach((bind) => {
+        const target = bind.target;
+        if (INPUT_WIRING_CLUSTERS.includes(bind.cluster?.name) && target?.deviceIeeeAddress === device.ieeeAddr && LIGHT_ENDPOINTS.includes(target.ID)) {
+            lights.add(getLightName(target.ID));
+        }
+    });
+    return [...lights];
+}
+
+/**
+ * Derives which inputs control which lights from the input actions and the local bindings.
+ * @param {Device} device - zigbee-herdsman device
+ * @param {Array<Buffer>} inputActions - Raw input action elements
+ * @returns {Object} {s1: {target, behavior} | null, ...}, behavior 'custom' if no preset matches
+ */
+function getInputWiring(device, inputActions) {
+    const wiring = {};
+    Object.entries(INPUT_ENDPOINTS).forEach(([epNum, input]) => {
+        epNum = Number(epNum);
+        const actions = inputActions.map(b => Buffer.from(b)).filter(el => (el[0] & 0x0F) === epNum - 2).map(el => el.toString('hex'));
+        if (!actions.length) {
+            wiring[input] = null;
+            return;
+        }
+        const behavior = Object.keys(INPUT_WIRING_BEHAVIORS).find((name) => {
+            const preset = buildWiringActions(epNum, name).map(b => b.toString('hex'));
+            return preset.length === actions.length && preset.every(hex => actions.includes(hex));
+        }) || 'custom';
+        const ep = device.getEndpoint(epNum);
+        const lights = ep ? getBoundLights(device, ep) : [];
+        wiring[input] = { target: lights.length > 1 ? lights : (lights[0] ?? null), behavior };
+    });
+    return wiring;
+}
+
+/**
+ * Derives the CCT range of an endpoint from the calibration of its two white channels.
+ * @param {Array<Buffer>} outputConfigs - Raw output configuration elements
+ * @param {number} epNum - Light endpoint number
+ * @returns {Array<number>|undefined} [min, max] in mireds, or undefined without two calibrated whites
+ */
+function getWhiteMiredsRange(outputConfigs, epNum) {
+    let cwMireds, wwMireds;
+    outputConfigs.forEach((buf) => {
+        const el = Buffer.from(buf);
+        const channelEp = (el[0] >> 4) & 0x0F;
+        const func = el[0] & 0x0F;
+        if (channelEp === epNum && (func === 1 || func === 2)) {
+            const x = (el[2] | (el[3] << 8)) / 65536;
+            const y = (el[4] | (el[5] << 8)) / 65536;
+            const mireds = xyToMireds(x, y);
+            if (func === 1) cwMireds = mireds;
+            if (func === 2) wwMireds = mireds;
+        }
+    });
+    if (cwMireds && wwMireds) return [Math.min(cwMireds, wwMireds), Math.max(cwMireds, wwMireds)];
+}
+
+/**
+ * Reads the physical CCT range an endpoint reported, if it reported a usable one.
+ * @param {Endpoint} ep - zigbee-herdsman endpoint
+ * @returns {Array<number>|undefined} [min, max] in mireds
+ */
+function getPhysicalMiredsRange(ep) {
+    const min = ep.getClusterAttributeValue('lightingColorCtrl', 'colorTempPhysicalMinMireds');
+    const max = ep.getClusterAttributeValue('lightingColorCtrl', 'colorTempPhysicalMaxMireds');
+    if (min > 0 && max < 0xffff && min < max) return [min, max];
+}
+
+/**
+ * Computes the convex hull of a set of xy points.
+ * @param {Array<Array<number>>} points - [[x, y], ...]
+ * @returns {Array<Array<number>>|undefined} Hull vertices counter-clockwise, rounded to 4 decimals, or undefined if it spans no area
+ */
+function convexHull(points) {
+    if (points.length < 3) return;
+
+    // Andrew's monotone chain
+    const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    const chain = (list) => {
+        const hull = [];
+        for (const p of list) {
+            while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) hull.pop();
+            hull.push(p);
+        }
+        hull.pop();
+        return hull;
+    };
+    const hull = [...chain(sorted), ...chain([...sorted].reverse())];
+    if (hull.length < 3) return;
+    return hull.map(([x, y]) => [Math.round(x * 10000) / 10000, Math.round(y * 10000) / 10000]);
+}
+
+/**
+ * Computes the gamut of an endpoint: the convex hull of the xy primaries of its white and color channels.
+ * @param {Array<Buffer>} outputConfigs - Raw output configuration elements
+ * @param {number} epNum - Light endpoint number
+ * @returns {Array<Array<number>>|undefined} Hull vertices [[x, y], ...] counter-clockwise, or undefined with fewer than 3 primaries
+ */
+function getGamut(outputConfigs, epNum) {
+    const points = [];
+    outputConfigs.forEach((buf) => {
+        const el = Buffer.from(buf);
+        const func = el[0] & 0x0F;
+        if (((el[0] >> 4) & 0x0F) === epNum && func >= 1 && func <= 9) {
+            points.push([(el[2] | (el[3] << 8)) / 65536, (el[4] | (el[5] << 8)) / 65536]);
+        }
+    });
+    return convexHull(points);
+}
+
+/**
+ * Maps an xy color onto a gamut.
+ * @param {Array<Array<number>>} gamut - Counter-clockwise hull from getGamut
+ * @param {number} x - CIE x coordinate
+ * @param {number} y - CIE y coordinate
+ * @returns {Object} {inside, x, y} with the nearest point on the gamut boundary when outside, unrounded so
+ *   it can still be mixed from the gamut's primaries
+ */
+function mapToGamut(gamut, x, y) {
+    let inside = true;
+    let best, bestDist = Infinity;
+    gamut.forEach(([ax, ay], i) => {
+        const [bx, by] = gamut[(i + 1) % gamut.length];
+        const dx = bx - ax, dy = by - ay;
+        if (dx * (y - ay) - dy * (x - ax) < -1e-9) inside = false;
+        const t = Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / (dx * dx + dy * dy)));
+        const px = ax + t * dx, py = ay + t * dy;
+        const dist = (x - px) ** 2 + (y - py) ** 2;
+        if (dist < bestDist) { bestDist = dist; best = [px, py]; }
+    });
+    if (inside) return { inside, x, y };
+    return { inside, x: best[0], y: best[1] };
+}
+
+/**
+ * Converts a 'color' payload to CIE xy the same way the m.light color converter does.
+ * @param {Object|string} value - Any payload accepted by the 'color' key (xy, rgb, hex, hs, hsl...)
+ * @param {Object} meta - toZigbee meta, used for the hue correction option
+ * @returns {Array<number>|undefined} [x, y], or undefined for payloads it does not understand
+ */
+function colorToXy(value, meta) {
+    let color;
+    try {
+        color = Color.fromConverterArg(value);
+    } catch (e) {
+        return;
+    }
+    const xy = color.isRGB() ? color.rgb.gammaCorrected().toXY()
+        : color.isHSV() ? color.hsv.colorCorrected(meta).toXY()
+        : color.isXY() ? color.xy : undefined;
+    if (xy && Number.isFinite(xy.x) && Number.isFinite(xy.y)) return [xy.x, xy.y];
+}
+
+/**
+ * Checks that a toZigbee request addresses an LD6 itself. Zigbee2MQTT also offers this file's converters
+ * to groups with an LD6 member, without a device.
+ * @param {Object} meta - toZigbee meta
+ * @returns {boolean}
+ */
+function isLd6Request(meta) {
+    return !!meta.device && !Array.isArray(meta.mapped) && meta.mapped?.model === 'LD6';
+}
+
+/**
+ * Finds the converter Zigbee2MQTT would use for a key without this file's top-level overrides,
+ * i.e. m.light's (or, for groups, the one of the first member that has it).
+ * @param {Object} meta - toZigbee meta (mapped is the definition, or the member definitions for groups)
+ * @param {string} key - Key to convert
+ * @param {Object} override - Calling converter, skipped
+ * @returns {Object} toZigbee converter
+ */
+function getLightConverter(meta, key, override) {
+    const converter = (Array.isArray(meta.mapped) ? meta.mapped : [meta.mapped]).flatMap(d => d?.toZigbee || [])
+        .find(c => c !== override && c.key?.includes(key));
+    if (!converter) throw new Error(`No converter available for '${key}'`);
+    return converter;
+}
+
+// toZigbee converter that keeps 'color' requests inside the gamut of the addressed endpoint,
+// then hands over to the m.light color converter.
+const tzGamutColor = {
+    key: ['color'],
+    convertSet: async (entity, key, value, meta) => {
+        const epNum = entity.ID;
+        const outputConfigs = meta.device && LIGHT_ENDPOINTS.includes(epNum) &&
+            meta.device.getEndpoint(232)?.getClusterAttributeValue('manuSpecificUbisysDeviceSetup', 'outputConfigurations');
+        const gamut = outputConfigs && getGamut(outputConfigs, epNum);
+        const xy = gamut && colorToXy(value, meta);
+        if (xy) {
+            const mapped = mapToGamut(gamut, xy[0], xy[1]);
+            if (!mapped.inside) {
+                if (meta.options?.gamut_mapping === 'reject') {
+                    throw new Error(`Color (${xy[0].toFixed(4)}, ${xy[1].toFixed(4)}) is outside the gamut of ${getLightName(epNum)}`);
+                }
+                value = { x: Math.round(mapped.x * 10000) / 10000, y: Math.round(mapped.y * 10000) / 10000 };
+            }
+        }
+        return getLightConverter(meta, key, tzGamutColor).convertSet(entity, key, value, meta);
+    },
+    convertGet: async (entity, key, meta) => getLightConverter(meta, key, tzGamutColor).convertGet(entity, key, meta),
+};
+
+/**
+ * Validates one calibration patch and resolves kelvin/named whites to xy.
+ * @param {Object} cal - {channel, flux, x, y} or {channel, flux, kelvin|white, duv}
+ * @returns {Object} {channel, flux, x, y} with undefined for untouched values
+ */
+function resolveCalibrationPatch(cal) {
+    if (!cal || typeof cal !== 'object') {
+        throw new Error('Calibration must be a JSON object');
+    }
+
+    if (cal.channel === undefined || cal.channel < 1 || cal.channel > 6) {
+        throw new Error('Calibration must specify a "channel" between 1 and 6');
+    }
+
+    // Resolve a color temperature (or named white) to xy on the Planckian locus
+    let x = cal.x;
+    let y = cal.y;
+    if (cal.kelvin !== undefined || cal.white !== undefined) {
+        if (x !== undefined || y !== undefined) {
+            throw new Error('Calibration accepts either "x"/"y" or "kelvin"/"white", not both');
+        }
+        const kelvin = cal.white !== undefined ? NAMED_WHITES[cal.white] : cal.kelvin;
+        if (kelvin === undefined) {
+            throw new Error(`Unknown "white" '${cal.white}', expected one of ${Object.keys(NAMED_WHITES).join(', ')}`);
+        }
+        if (typeof kelvin !== 'number' || kelvin < 1667 || kelvin > 25000) {
+            throw new Error('Calibration "kelvin" must be between 1667 and 25000');
+        }
+        const duv = cal.duv ?? 0;
+        if (typeof duv !== 'number' || Math.abs(duv) > 0.05) {
+            throw new Error('Calibration "duv" must be between -0.05 and 0.05');
+        }
+        [x, y] = kelvinToXy(kelvin, duv);
+    }
+    return { channel: cal.channel, flux: cal.flux, x, y };
+}
+
+/**
+ * Applies a resolved calibration patch to a raw output configuration element in place.
+ * @param {Buffer} el - Raw output configuration element
+ * @param {Object} patch - Resolved patch (see resolveCalibrationPatch)
+ */
+function applyCalibrationPatch(el, patch) {
+    if (patch.flux !== undefined) el[1] = patch.flux;
+    if (patch.x !== undefined) {
+        const raw = Math.round(patch.x * 65536);
+        el[2] = raw & 0xFF;
+        el[3] = (raw >> 8) & 0xFF;
+    }
+    if (patch.y !== undefined) {
+        const raw = Math.round(patch.y * 65536);
+        el[4] = raw & 0xFF;
+        el[5] = (raw >> 8) & 0xFF;
+    }
+}
+
+/**
+ * Describes what a calibrated channel now holds, as the device will interpret it.
+ * @param {Buffer} el - Raw output configuration element
+ * @param {number} index - Channel index (0-5)
+ * @returns {string} e.g. 'channel 2: flux=254, x=0.4593, y=0.4107, 370 mireds'
+ */
+function describeCalibratedChannel(el, index) {
+    const channel = decodeOutputChannel(el, index);
+    const parts = [`flux=${channel.flux ?? 'unset'}`];
+    if (channel.x !== null && channel.y !== null) {
+        parts.push(`x=${channel.x.toFixed(4)}`, `y=${channel.y.toFixed(4)}`);
+        if (channel.function === 'white_1' || channel.function === 'white_2') parts.push(`${xyToMireds(channel.x, channel.y)} mireds`);
+    }
+    return `channel ${index + 1}: ${parts.join(', ')}`;
+}
+
+// genOnOff.startUpOnOff values
+const STARTUP_ON_OFF = { off: 0, on: 1, toggle: 2, previous: 255 };
+
+// Named special values of the power-on attributes
+const SPECIAL_LEVELS = {
+    on_level: { previous: 255 },
+    startup_level: { minimum: 0, previous: 255 },
+    startup_color_temperature: { previous: 65535 },
+};
+
+/**
+ * Resolves a named special value ('previous', 'minimum') to its raw attribute value.
+ * @param {string} key - Converter key, e.g. 'on_level'
+ * @param {number|string} value - Numeric value or special value name
+ * @returns {number} Raw attribute value
+ */
+function resolveSpecialLevel(key, value) {
+    if (typeof value !== 'string') return value;
+    const specials = SPECIAL_LEVELS[key] || {};
+    if (specials[value] === undefined) {
+        throw new Error(`Invalid value '${value}' for ${key}, expected a number${Object.keys(specials).length ? ` or one of ${Object.keys(specials).join(', ')}` : ''}`);
+    }
+    return specials[value];
+}
+
+/**
+ * Postfixes the keys of a fromZigbee result with the light endpoint name (e.g. startup_level_l2).
+ * @param {Object} result - Converted attributes
+ * @param {Object} msg - fromZigbee message
+ * @returns {Object} Result with postfixed keys
+ */
+function withLightEndpoint(result, msg) {
+    if (!LIGHT_ENDPOINTS.includes(msg.endpoint.ID)) return result;
+    const name = getLightName(msg.endpoint.ID);
+    return Object.fromEntries(Object.entries(result).map(([k, v]) => [`${k}_${name}`, v]));
+}
+
+/**
+ * Builds the power-on behaviour exposes for one light endpoint.
+ * @param {string} name - Endpoint name (l1..l6)
+ * @param {Array<number>} colorTempRange - [min, max] mireds, or undefined without color temperature
+ * @returns {Array} Exposes
+ */
+function powerOnExposes(name, colorTempRange) {
+    const list = [
+        e.numeric('on_level', ea.ALL).withValueMin(1).withValueMax(255).withEndpoint(name)
+            .withPreset('previous', 255, 'Use the level the light had before it was turned off')
+            .withDescription('Level applied when the light is turned on'),
+        e.numeric('startup_level', ea.ALL).withValueMin(0).withValueMax(255).withEndpoint(name)
+            .withPreset('minimum', 0, 'Minimum level')
+            .withPreset('previous', 255, 'Level before the power cycle')
+            .withDescription('Level applied after a power cycle'),
+        e.enum('startup_on_off', ea.ALL, Object.keys(STARTUP_ON_OFF)).withEndpoint(name)
+            .withDescription('On/off state applied after a power cycle'),
+    ];
+    if (colorTempRange) {
+        list.push(e.numeric('startup_color_temperature', ea.ALL).withUnit('mired').withValueMin(colorTempRange[0]).withValueMax(colorTempRange[1]).withEndpoint(name)
+            .withPreset('previous', 65535, 'Color temperature before the power cycle')
+            .withDescription('Color temperature applied after a power cycle'));
+    }
+    return list;
+}
+
+/**
+ * Builds the scene exposes for one light endpoint, offering only the scene values the endpoint can hold.
+ * @param {string} name - Endpoint name (l1..l6)
+ * @param {Object} caps - Capabilities from getLightCapabilities
+ * @param {Array<number>} colorTempRange - [min, max] mireds
+ * @returns {Array} Exposes
+ */
+function sceneExposes(name, caps, colorTempRange) {
+    const sceneId = (key, description) => e.numeric(key, ea.SET).withValueMin(0).withValueMax(255).withDescription(description).withEndpoint(name);
+    const add = e.composite('scene_add', 'scene_add', ea.SET)
+        .withFeature(e.numeric('ID', ea.SET).withValueMin(0).withValueMax(255))
+        .withFeature(e.numeric('group_id', ea.SET).withValueMin(0).withValueMax(65535))
+        .withFeature(e.numeric('transition', ea.SET).withUnit('s').withValueMin(0).withValueMax(65535))
+        .withFeature(e.binary('state', ea.SET, 'ON', 'OFF'));
+    const scene = e.composite('scene', 'scene', ea.STATE)
+        .withFeature(e.numeric('ID', ea.STATE))
+        .withFeature(e.numeric('group_id', ea.STATE))
+        .withFeature(e.numeric('transition', ea.STATE).withUnit('s'))
+        .withFeature(e.binary('state', ea.STATE, 'ON', 'OFF'));
+    const values = [];
+    if (caps.hasBrightness) values.push(() => e.numeric('brightness', ea.ALL).withValueMin(0).withValueMax(254));
+    if (caps.hasColorTemp) values.push(() => e.numeric('color_temp', ea.ALL).withUnit('mired').withValueMin(colorTempRange[0]).withValueMax(colorTempRange[1]));
+    if (caps.hasColorXY) values.push(() => e.composite('color', 'color', ea.ALL).withFeature(e.numeric('x', ea.ALL)).withFeature(e.numeric('y', ea.ALL)));
+    values.forEach((feature) => {
+        add.withFeature(feature());
+        scene.withFeature(feature());
+    });
+    return [
+        sceneId('scene_store', 'Store the current state as this scene ID (group 0)'),
+        add.withDescription('Add a scene with explicit values').withEndpoint(name),
+        sceneId('scene_recall', 'Recall the scene with this ID (group 0)'),
+        sceneId('scene_remove', 'Remove the scene with this ID (group 0)'),
+        e.list('scenes', ea.STATE_GET, scene).withDescription('Scenes stored on this light').withEndpoint(name),
+    ];
+}
+
+/**
+ * Decodes the extension field sets of a view scene response.
+ * Color temperature is stored as xy in the scene table, so it is converted back on endpoints without xy.
+ * @param {Array<Object>} fieldSets - [{clstId, extField}, ...]
+ * @param {Object} caps - Capabilities from getLightCapabilities
+ * @returns {Object} {state, brightness, color_temp | color} as far as present
+ */
+function decodeSceneFields(fieldSets, caps) {
+    const result = {};
+    (fieldSets || []).forEach(({ clstId, extField }) => {
+        if (clstId === 0x0006 && extField.length) result.state = extField[0] ? 'ON' : 'OFF';
+        if (clstId === 0x0008 && extField.length && caps.hasBrightness) result.brightness = extField[0];
+        if (clstId === 0x0300 && extField.length >= 2) {
+            const x = extField[0] / 65535;
+            const y = extField[1] / 65535;
+            if (caps.hasColorTemp && extField[7]) {
+                result.color_temp = extField[7];
+            } else if (caps.hasColorXY) {
+                result.color = { x: Math.round(x * 10000) / 10000, y: Math.round(y * 10000) / 10000 };
+            } else if (caps.hasColorTemp && (x || y)) {
+                result.color_temp = xyToMireds(x, y);
+            }
+        }
+    });
+    return result;
+}
+
+// genIdentify.triggerEffect effect identifiers
+const IDENTIFY_EFFECTS = { blink: 0x00, breathe: 0x01, okay: 0x02, channel_change: 0x0b, finish_effect: 0xfe };
+
+// Color before a color effect was started, restored by stop_effect (keyed by ieeeAddr/endpoint)
+const effectSnapshots = new Map();
+
+/**
+ * Lists the effects a light endpoint supports.
+ * @param {Endpoint} ep - zigbee-herdsman light endpoint
+ * @param {Object} caps - Capabilities from getLightCapabilities
+ * @returns {Array<string>} Effect names, empty if the endpoint has none
+ */
+function getEffects(ep, caps) {
+    const effects = [];
+    if (ep.supportsInputCluster('genIdentify')) effects.push(...Object.keys(IDENTIFY_EFFECTS));
+    const colorCapabilities = ep.getClusterAttributeValue('lightingColorCtrl', 'colorCapabilities');
+    // colorCapabilities bit 1: enhanced hue, bit 2: color loop
+    if (colorCapabilities !== undefined ? colorCapabilities & 0x04 : caps.hasColorXY) effects.push('colorloop');
+    if (colorCapabilities !== undefined ? colorCapabilities & 0x02 : caps.hasColorXY) effects.push('hue_move_up', 'hue_move_down');
+    if (effects.length) effects.push('stop_effect');
+    return effects;
+}
+
+/**
+ * Moves a light back to the color it had before a color effect.
+ * @param {Endpoint} entity - zigbee-herdsman light endpoint
+ * @param {Object} snapshot - Color attributes read before the effect
+ */
+async function restoreColor(entity, snapshot) {
+    const options = { transtime: 0, optionsMask: 0, optionsOverride: 0 };
+    if (snapshot.colorMode === 2 && snapshot.colorTemperature !== undefined) {
+        await entity.command('lightingColorCtrl', 'moveToColorTemp', { colortemp: snapshot.colorTemperature, ...options });
+    } else if (snapshot.colorMode === 0 && snapshot.enhancedCurrentHue !== undefined) {
+        await entity.command('lightingColorCtrl', 'enhancedMoveToHueAndSaturation', { enhancehue: snapshot.enhancedCurrentHue, saturation: snapshot.currentSaturation ?? 254, ...options });
+    } else if (snapshot.currentX !== undefined && snapshot.currentY !== undefined) {
+        await entity.command('lightingColorCtrl', 'moveToColor', { colorx: snapshot.currentX, colory: snapshot.currentY, ...options });
+    }
+}
+
+// toZigbee converter for the per-endpoint 'effect'. Accepts an effect name, or an object with
+// the name and its parameters, e.g. {"name": "colorloop", "direction": "down", "time": 30, "start_hue": 240}.
+const tzEffect = {
+    key: ['effect'],
+    convertSet: async (entity, key, value, meta) => {
+        // Groups and other endpoints keep the m.light effects
+        if (!isLd6Request(meta) || !LIGHT_ENDPOINTS.includes(entity.ID)) return getLightConverter(meta, key, tzEffect).convertSet(entity, key, value, meta);
+        const params = (value && typeof value === 'object') ? value : { name: value };
+        const effect = String(params.name ?? '').toLowerCase();
+        const outputConfigs = meta.device.getEndpoint(232)?.getClusterAttributeValue('manuSpecificUbisysDeviceSetup', 'outputConfigurations');
+        const effects = LIGHT_ENDPOINTS.includes(entity.ID) ? getEffects(entity, getLightCapabilities(entity, outputConfigs)) : [];
+        if (!effects.includes(effect)) {
+            throw new Error(`Effect "${effect}" is not supported here${effects.length ? `, use ${effects.join(', ')}` : ''}`);
+        }
+        const colorOptions = { optionsMask: 0, optionsOverride: 0 };
+        const snapshotKey = `${meta.device.ieeeAddr}/${entity.ID}`;
+
+        if (effect === 'stop_effect') {
+            if (entity.supportsInputCluster('genIdentify')) {
+                await entity.command('genIdentify', 'triggerEffect', { effectid: 0xff, effectvariant: 0 });
+            }
+            const snapshot = effectSnapshots.get(snapshotKey);
+            if (snapshot) {
+                if (effects.includes('colorloop')) {
+                    await entity.command('lightingColorCtrl', 'colorLoopSet', { updateflags: 0x01, action: 0, direction: 0, time: 0, starthue: 0, ...colorOptions });
+                }
+                await entity.command('lightingColorCtrl', 'stopMoveStep', colorOptions);
+                await restoreColor(entity, snapshot);
+                effectSnapshots.delete(snapshotKey);
+            }
+            return;
+        }
+
+        if (IDENTIFY_EFFECTS[effect] !== undefined) {
+            await entity.command('genIdentify', 'triggerEffect', { effectid: IDENTIFY_EFFECTS[effect], effectvariant: 0 });
+            return;
+        }
+
+        let command, payload;
+        if (effect === 'colorloop') {
+            const direction = params.direction ?? 'up';
+            if (!['up', 'down'].includes(direction)) throw new Error('Color loop "direction" must be "up" or "down"');
+            const time = params.time ?? 30;
+            if (!Number.isInteger(time) || time < 1 || time > 65535) throw new Error('Color loop "time" must be an integer between 1 and 65535 seconds');
+            const startHue = params.start_hue;
+            if (startHue !== undefined && !(typeof startHue === 'number' && startHue >= 0 && startHue <= 360)) {
+                throw new Error('Color loop "start_hue" must be between 0 and 360 degrees');
+            }
+            command = 'colorLoopSet';
+            payload = {
+                updateflags: 0x0f,
+                // 1: start at starthue, 2: start at the current hue
+                action: startHue !== undefined ? 1 : 2,
+                direction: direction === 'up' ? 1 : 0,
+                time,
+                starthue: Math.round(((startHue ?? 0) % 360) / 360 * 65535),
+            };
+        } else {
+            const rate = params.rate ?? 10;
+            if (!(typeof rate === 'number' && rate > 0 && rate <= 360)) throw new Error('Hue move "rate" must be between 0 and 360 degrees per second');
+            command = 'enhancedMoveHue';
+            payload = { movemode: effect === 'hue_move_up' ? 1 : 3, rate: Math.round(rate / 360 * 65535) };
+        }
+
+        // Remember the color once, so switching between color effects still restores the original one
+        if (!effectSnapshots.has(snapshotKey)) {
+            effectSnapshots.set(snapshotKey, await entity.read('lightingColorCtrl',
+                ['colorMode', 'currentX', 'currentY', 'colorTemperature', 'enhancedCurrentHue', 'currentSaturation']));
+        }
+        await entity.command('lightingColorCtrl', command, { ...payload, ...colorOptions });
+    },
+};
+
+// toZigbee converter for 'lights': one payload for every light of the fixture, e.g.
+// {"lights": {"state": "ON", "brightness": 128, "color_temp": 300, "transition": 2}}
+const tzLights = {
+    key: ['lights'],
+    convertSet: async (entity, key, value, meta) => {
+        const device = meta.device;
+        let lights = value;
+        if (typeof value === 'string') {
+            try {
+                lights = JSON.parse(value);
+            } catch (err) {
+                throw new Error(`Invalid lights JSON: ${err.message}`);
+            }
+        }
+        if (!lights || typeof lights !== 'object') throw new Error('lights must be an object, e.g. {"state": "ON", "brightness": 128}');
+        const { brightness, color_temp: colorTemp, color, transition = 0 } = lights;
+        const state = lights.state?.toUpperCase();
+        if (state !== undefined && !['ON', 'OFF', 'TOGGLE'].includes(state)) throw new Error('lights "state" must be ON, OFF or TOGGLE');
+        if (brightness !== undefined && !(Number.isInteger(brightness) && brightness >= 0 && brightness <= 254)) throw new Error('lights "brightness" must be an integer between 0 and 254');
+        if (colorTemp !== undefined && !(Number.isInteger(colorTemp) && colorTemp > 0 && colorTemp < 0xffff)) throw new Error('lights "color_temp" must be in mireds');
+        if (color !== undefined && !(typeof color?.x === 'number' && typeof color?.y === 'number')) throw new Error('lights "color" must be {"x": ..., "y": ...}');
+        if (colorTemp !== undefined && color !== undefined) throw new Error('Don\'t specify both "color_temp" and "color" for lights');
+        if (!(typeof transition === 'number' && transition >= 0)) throw new Error('lights "transition" must be a number of seconds');
+        const transtime = Math.round(transition * 10);
+
+        // Commands for the whole fixture, with the capability an endpoint needs to receive them
+        const commands = [];
+        if (state === 'OFF') {
+            commands.push(['hasOnOff', 'genOnOff', 'off', {}]);
+        } else if (brightness !== undefined) {
+            commands.push(['hasBrightness', 'genLevelCtrl', 'moveToLevelWithOnOff', { level: brightness, transtime, optionsMask: 0, optionsOverride: 0 }]);
+        } else if (state) {
+            commands.push(['hasOnOff', 'genOnOff', state.toLowerCase(), {}]);
+        }
+        if (colorTemp !== undefined) commands.push(['hasColorTemp', 'lightingColorCtrl', 'moveToColorTemp', { colortemp: colorTemp, transtime, optionsMask: 0, optionsOverride: 0 }]);
+        if (color !== undefined) {
+            commands.push(['hasColorXY', 'lightingColorCtrl', 'moveToColor', { colorx: Math.round(color.x * 65535), colory: Math.round(color.y * 65535), transtime, optionsMask: 0, optionsOverride: 0 }]);
+        }
+        if (!commands.length) throw new Error('lights needs at least one of state, brightness, color_temp or color');
+
+        const outputConfigs = device.getEndpoint(232)?.getClusterAttributeValue('manuSpecificUbisysDeviceSetup', 'outputConfigurations');
+        const endpoints = LIGHT_ENDPOINTS.map(epNum => device.getEndpoint(epNum)).filter(Boolean)
+            .map(ep => ({ ep, caps: getLightCapabilities(ep, outputConfigs) }));
+
+        // Each step goes to all endpoints at once. Converters have no public access to Zigbee groups,
+        // for switching in sync the README describes a Zigbee2MQTT group.
+        for (const [capability, cluster, command, payload] of commands) {
+            await Promise.all(endpoints.filter(({ caps }) => caps[capability]).map(({ ep }) => ep.command(cluster, command, payload)));
+        }
+
+        const result = {};
+        endpoints.forEach(({ ep, caps }) => {
+            const name = getLightName(ep.ID);
+            if (state === 'OFF') {
+                result[`state_${name}`] = 'OFF';
+            } else if (brightness !== undefined && caps.hasBrightness) {
+                result[`state_${name}`] = brightness > 0 ? 'ON' : 'OFF';
+                result[`brightness_${name}`] = brightness;
+            } else if (state === 'ON') {
+                result[`state_${name}`] = 'ON';
+            } else if (state === 'TOGGLE') {
+                result[`state_${name}`] = meta.state?.[`state_${name}`] === 'ON' ? 'OFF' : 'ON';
+            }
+            if (colorTemp !== undefined && caps.hasColorTemp) Object.assign(result, { [`color_temp_${name}`]: colorTemp, [`color_mode_${name}`]: 'color_temp' });
+            if (color !== undefined && caps.hasColorXY) Object.assign(result, { [`color_${name}`]: { x: color.x, y: color.y }, [`color_mode_${name}`]: 'xy' });
+        });
+        return { state: result };
+    },
+};
+
+/**
+ * Resolves the virtual_light_channels option against the current output configuration.
+ * Each primary is a mono channel (as in 6x_dimmable) described like output_channels: {channel, flux, x, y}.
+ * @param {Object} options - Device options
+ * @param {Array<Buffer>} [outputConfigs] - Raw output configuration elements
+ * @returns {Object|undefined} {primaries: [{epNum, channel, flux, x, y}], gamut}, or undefined if not configured or invalid
+ */
+function getVirtualLight(options, outputConfigs) {
+    let config = options?.virtual_light_channels;
+    if (!config || !outputConfigs) return;
+    try {
+        if (typeof config === 'string') config = JSON.parse(config);
+        const channels = Array.isArray(config) ? config : config.channels;
+        if (!Array.isArray(channels) || channels.length < 3) throw new Error('needs at least 3 channels');
+        const primaries = channels.map((ch, i) => {
+            const fail = (msg) => { throw new Error(`channel #${i}: ${msg}`); };
+            if (!Number.isInteger(ch?.channel) || ch.channel < 1 || ch.channel > 6) fail('"channel" must be between 1 and 6');
+            const el = Buffer.from(outputConfigs[ch.channel - 1] || []);
+            const epNum = (el[0] >> 4) & 0x0F;
+            if (!LIGHT_ENDPOINTS.includes(epNum) || (el[0] & 0x0F) !== 0) fail(`channel ${ch.channel} is not a dimmable channel in the current output mode`);
+            if (outputConfigs.some((other, j) => j !== ch.channel - 1 && ((Buffer.from(other)[0] >> 4) & 0x0F) === epNum)) {
+                fail(`channel ${ch.channel} shares its light with another channel`);
+            }
+            if (!(typeof ch.x === 'number' && ch.x > 0 && ch.x < 1 && typeof ch.y === 'number' && ch.y > 0 && ch.y < 1)) fail('"x" and "y" must be between 0 and 1');
+            const flux = ch.flux ?? 254;
+            if (!Number.isInteger(flux) || flux < 1 || flux > 254) fail('"flux" must be an integer between 1 and 254');
+            return { epNum, channel: ch.channel, flux, x: ch.x, y: ch.y };
+        });
+        if (new Set(primaries.map(p => p.channel)).size !== primaries.length) throw new Error('a channel is listed twice');
+        const gamut = convexHull(primaries.map(p => [p.x, p.y]));
+        if (!gamut) throw new Error('the primaries span no color gamut');
+        return { primaries, gamut };
+    } catch (e) {
+        console.warn(`ubisys LD6: Ignoring virtual_light_channels: ${e.message}`);
+    }
+}
+
+/**
+ * Mixes an xy color into levels of the virtual light's primaries.
+ * Every triangle of primaries containing the color contributes a mix, the average uses all
+ * primaries that can help. With only two primaries (e.g. the whites of a CCT light), the color is
+ * projected onto the line between them. The result is scaled to the highest flux reachable for that color.
+ * @param {Array<Object>} primaries - [{x, y, flux}, ...], e.g. from getVirtualLight
+ * @param {number} x - CIE x coordinate, inside the primaries' gamut
+ * @param {number} y - CIE y coordinate, inside the primaries' gamut
+ * @param {number} brightness - Overall level (0-254)
+ * @returns {Array<number>} Level (0-254) per primary
+ */
+function mixVirtualColor(primaries, x, y, brightness) {
+    const luminance = primaries.map(() => 0);
+    let mixes = 0;
+    for (let i = 0; i < primaries.length; i++) {
+        for (let j = i + 1; j < primaries.length; j++) {
+            for (let k = j + 1; k < primaries.length; k++) {
+                const [a, b, c] = [primaries[i], primaries[j], primaries[k]];
+                const det = (b.y - c.y) * (a.x - c.x) + (c.x - b.x) * (a.y - c.y);
+                if (Math.abs(det) < 1e-9) continue;
+                const wa = ((b.y - c.y) * (x - c.x) + (c.x - b.x) * (y - c.y)) / det;
+                const wb = ((c.y - a.y) * (x - c.x) + (a.x - c.x) * (y - c.y)) / det;
+                const wc = 1 - wa - wb;
+                // Points mapped onto an edge may land a rounding error outside of it
+                if (wa < -1e-4 || wb < -1e-4 || wc < -1e-4) continue;
+                // Barycentric weights are X+Y+Z shares, luminance Y is share * y
+                const mix = [Math.max(wa, 0) * a.y, Math.max(wb, 0) * b.y, Math.max(wc, 0) * c.y];
+                const total = mix[0] + mix[1] + mix[2];
+                [i, j, k].forEach((p, n) => { luminance[p] += mix[n] / total; });
+                mixes++;
+            }
+        }
+    }
+    if (!mixes && primaries.length === 2) {
+        const [a, b] = primaries;
+        const len = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+        const t = len ? Math.min(1, Math.max(0, ((x - a.x) * (b.x - a.x) + (y - a.y) * (b.y - a.y)) / len)) : 0.5;
+        const mix = [(1 - t) * a.y, t * b.y];
+        luminance[0] = mix[0] / (mix[0] + mix[1]);
+        luminance[1] = mix[1] / (mix[0] + mix[1]);
+        mixes++;
+    }
+    if (!mixes) return primaries.map(() => 0);
+
+    const duty = luminance.map((l, p) => l / primaries[p].flux);
+    const scale = 1 / Math.max(...duty);
+    return duty.map(d => Math.min(254, Math.round(d * scale * brightness)));
+}
+
+// toZigbee converter for 'virtual_light', a color light mixed from mono channels, e.g.
+// {"virtual_light": {"state": "ON", "color": {"x": 0.4, "y": 0.4}, "brightness": 180, "transition": 1}}
+const tzVirtualLight = {
+    key: ['virtual_light'],
+    convertSet: async (entity, key, value, meta) => {
+        const device = meta.device;
+        const outputConfigs = device.getEndpoint(232)?.getClusterAttributeValue('manuSpecificUbisysDeviceSetup', 'outputConfigurations');
+        const virtual = getVirtualLight(meta.options, outputConfigs);
+        if (!virtual) throw new Error('The virtual light is not configured, or does not match the current output mode (see the virtual_light_channels option)');
+
+        let request = value;
+        if (typeof value === 'string') {
+            try {
+                request = JSON.parse(value);
+            } catch (err) {
+                throw new Error(`Invalid virtual_light JSON: ${err.message}`);
+            }
+        }
+        if (!request || typeof request !== 'object' || Array.isArray(request)) {
+            throw new Error('virtual_light must be an object, e.g. {"state": "ON", "brightness": 128, "color": {"x": 0.4, "y": 0.4}}');
+        }
+        const previous = meta.state?.virtual_light ?? {};
+        const state = request.state?.toUpperCase?.();
+        if (request.state !== undefined && !['ON', 'OFF', 'TOGGLE'].includes(state)) throw new Error('virtual_light "state" must be ON, OFF or TOGGLE');
+        const wasOn = previous.state === 'ON';
+        const on = state === 'OFF' ? false : state === 'TOGGLE' ? !wasOn : (state === 'ON' || request.brightness !== undefined || request.color !== undefined || wasOn);
+        const brightness = request.brightness ?? previous.brightness ?? 254;
+        if (!Number.isInteger(brightness) || brightness < 0 || brightness > 254) throw new Error('virtual_light "brightness" must be an integer between 0 and 254');
+        const transition = request.transition ?? 0;
+        if (!(typeof transition === 'number' && transition >= 0)) throw new Error('virtual_light "transition" must be a number of seconds');
+        const transtime = Math.round(transition * 10);
+
+        // Default to the previous color, else the center of the gamut
+        let xy = request.color !== undefined ? colorToXy(request.color, meta) : undefined;
+        if (request.color !== undefined && !xy) throw new Error('Unsupported virtual_light "color" value');
+        if (!xy) {
+            xy = previous.color ? [previous.color.x, previous.color.y] : [
+                virtual.gamut.reduce((sum, v) => sum + v[0], 0) / virtual.gamut.length,
+                virtual.gamut.reduce((sum, v) => sum + v[1], 0) / virtual.gamut.length,
+            ];
+        }
+        const mapped = mapToGamut(virtual.gamut, xy[0], xy[1]);
+        if (!mapped.inside && meta.options?.gamut_mapping === 'reject') {
+            throw new Error(`Color (${xy[0].toFixed(4)}, ${xy[1].toFixed(4)}) is outside the gamut of the virtual light`);
+        }
+
+        const levels = on ? mixVirtualColor(virtual.primaries, mapped.x, mapped.y, brightness) : virtual.primaries.map(() => 0);
+        // Send all channels at once so they change together
+        await Promise.all(virtual.primaries.map((p, i) => {
+            const ep = device.getEndpoint(p.epNum);
+            return levels[i] > 0
+                ? ep.command('genLevelCtrl', 'moveToLevelWithOnOff', { level: levels[i], transtime, optionsMask: 0, optionsOverride: 0 })
+                : ep.command('genOnOff', 'off', {});
+        }));
+
+        const result = {};
+        virtual.primaries.forEach((p, i) => {
+            const name = getLightName(p.epNum);
+            result[`state_${name}`] = levels[i] > 0 ? 'ON' : 'OFF';
+            if (levels[i] > 0) result[`brightness_${name}`] = levels[i];
+        });
+        const x = Math.round(mapped.x * 10000) / 10000;
+        const y = Math.round(mapped.y * 10000) / 10000;
+        result.virtual_light = { state: on ? 'ON' : 'OFF', brightness, color: { x, y } };
+        return { state: result };
+    },
+};
+
+// ZCL colorMode values, as named in the light state
+const COLOR_MODES = { 0: 'hs', 1: 'xy', 2: 'color_temp' };
+
+// Last estimate per device, to integrate energy between two reports. Cleared when the device leaves,
+// is removed or Zigbee2MQTT stops (onEvent 'stop').
+const powerHistory = new Map();
+
+/**
+ * Reads the rated power of the six output channels from the device options.
+ * @param {Object} options - Device options
+ * @returns {Array<number>|undefined} Watts per channel (0 if not set), or undefined if none is set
+ */
+function getRatedPower(options) {
+    const ratings = [1, 2, 3, 4, 5, 6].map(n => options?.[`rated_power_channel_${n}`]);
+    if (!ratings.some(w => w > 0)) return;
+    return ratings.map(w => (w > 0 ? w : 0));
+}
+
+/**
+ * Estimates the power drawn by the channels of one light endpoint.
+ * The channels run at the clipped level, split by color like the device mixes them (from the calibration in
+ * outputConfigurations). Whites on RGBW/RGBWW lights are counted on the white channels only.
+ * This is an estimate only: the dimming curve and driver losses are not known.
+ * @param {Array<Buffer>} outputConfigs - Raw output configuration elements
+ * @param {number} epNum - Light endpoint number
+ * @param {Object} light - {state, brightness, color_mode, color, color_temp}
+ * @param {Array<number>} ratings - Rated watts per channel (see getRatedPower)
+ * @param {Array<number>} ballast - [min, max] level (1-254)
+ * @returns {number} Watts
+ */
+function estimateLightPower(outputConfigs, epNum, light, ratings, ballast) {
+    if (light.state !== 'ON') return 0;
+    const channels = [];
+    outputConfigs.forEach((buf, index) => {
+        const ch = decodeOutputChannel(buf, index);
+        if (ch.endpoint === epNum) channels.push({ ...ch, watts: ratings[index] ?? 0 });
     });
-    return mask;
+    if (!channels.length) return 0;
+
+    const level = Math.min(ballast[1], Math.max(ballast[0], light.brightness ?? 254)) / 254;
+    let shares = channels.map(() => 1);
+    const primaries = channels.filter(ch => ch.function !== 'brightness');
+    if (primaries.length >= 2 && primaries.length === channels.length && primaries.every(ch => ch.x !== null && ch.y !== null)) {
+        let xy;
+        if (light.color_mode === 'color_temp' && light.color_temp > 0) xy = kelvinToXy(Math.min(25000, Math.max(1667, 1000000 / light.color_temp)));
+        else if (light.color?.x !== undefined && light.color?.y !== undefined) xy = [light.color.x, light.color.y];
+        else xy = [primaries.reduce((sum, ch) => sum + ch.x, 0) / primaries.length, primaries.reduce((sum, ch) => sum + ch.y, 0) / primaries.length];
+
+        const gamut = convexHull(primaries.map(ch => [ch.x, ch.y]));
+        if (gamut) xy = (({ x, y }) => [x, y])(mapToGamut(gamut, xy[0], xy[1]));
+
+        // Whites (color temperatures, or xy between the white channels) come from the white channels only
+        const whites = primaries.filter(ch => ch.function === 'white_1' || ch.function === 'white_2');
+        const onWhiteSegment = whites.length === 2 && (() => {
+            const [a, b] = whites;
+            const len = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+            const t = Math.min(1, Math.max(0, ((xy[0] - a.x) * (b.x - a.x) + (xy[1] - a.y) * (b.y - a.y)) / len));
+            return Math.hypot(xy[0] - (a.x + t * (b.x - a.x)), xy[1] - (a.y + t * (b.y - a.y))) < 1e-3;
+        })();
+        const mixed = whites.length && whites.length < primaries.length && (light.color_mode === 'color_temp' || onWhiteSegment) ? whites : primaries;
+        const mixedLevels = mixed.length === 1 ? [254]
+            : mixVirtualColor(mixed.map(ch => ({ x: ch.x, y: ch.y, flux: ch.flux || 254 })), xy[0], xy[1], 254);
+        const mix = primaries.map(ch => (mixed.includes(ch) ? mixedLevels[mixed.indexOf(ch)] : 0));
+        if (mix.some(l => l > 0)) {
+            shares = mix.map(l => l / 254);
+        } else {
+            // Not expected after mapping to the gamut, but don't count every channel at full output
+            console.warn(`ubisys LD6: Cannot split (${xy[0].toFixed(4)}, ${xy[1].toFixed(4)}) across the channels of ${getLightName(epNum)}, assuming an even split`);
+            shares = channels.map(() => 1 / channels.length);
+        }
+    }
+    return channels.reduce((sum, ch, i) => sum + ch.watts * shares[i] * level, 0);
+}
+
+/**
+ * Estimates power and energy of all lights on a light state report (with rated_power_channel_* options).
+ * @param {Object} msg - fromZigbee message
+ * @param {Object} options - Device options
+ * @param {Object} meta - fromZigbee meta
+ * @returns {Object|undefined} {power_lN, power, energy}
+ */
+function convertPower(msg, options, meta) {
+    const ratings = getRatedPower(options);
+    const device = meta?.device ?? msg.device;
+    const outputConfigs = device?.getEndpoint(232)?.getClusterAttributeValue('manuSpecificUbisysDeviceSetup', 'outputConfigurations');
+    if (!ratings) {
+        if (device) powerHistory.delete(device.ieeeAddr);
+        return;
+    }
+    if (!outputConfigs || !LIGHT_ENDPOINTS.includes(msg.endpoint.ID)) return;
+
+    // meta.state is the state before this message
+    const state = meta?.state ?? {};
+    const ballast = [state.ballast_min_level ?? 1, state.ballast_max_level ?? 254];
+    const result = {};
+    let total = 0;
+    LIGHT_ENDPOINTS.forEach(epNum => {
+        if (!device.getEndpoint(epNum)) return;
+        const name = getLightName(epNum);
+        const light = {
+            state: state[`state_${name}`],
+            brightness: state[`brightness_${name}`],
+            color_mode: state[`color_mode_${name}`],
+            color: state[`color_${name}`],
+            color_temp: state[`color_temp_${name}`],
+        };
+        if (epNum === msg.endpoint.ID) {
+            const data = msg.data;
+            if (data.onOff !== undefined) light.state = data.onOff ? 'ON' : 'OFF';
+            if (data.currentLevel !== undefined) light.brightness = data.currentLevel;
+            if (data.colorMode !== undefined) light.color_mode = COLOR_MODES[data.colorMode];
+            if (data.colorTemperature !== undefined) light.color_temp = data.colorTemperature;
+            if (data.currentX !== undefined || data.currentY !== undefined) {
+                light.color = {
+                    x: data.currentX !== undefined ? data.currentX / 65535 : light.color?.x,
+                    y: data.currentY !== undefined ? data.currentY / 65535 : light.color?.y,
+                };
+            }
+        }
+        const watts = estimateLightPower(outputConfigs, epNum, light, ratings, ballast);
+        result[`power_${name}`] = Math.round(watts * 100) / 100;
+        total += watts;
+    });
+    result.power = Math.round(total * 100) / 100;
+
+    // Integrate the previous estimate up to now; it held since the last report. Energy is only
+    // updated here, so between two reports the published value lags by up to reporting_max_interval.
+    const now = Date.now();
+    const last = powerHistory.get(device.ieeeAddr);
+    let energy = last?.energy ?? state.energy ?? 0;
+    if (last) energy += last.power * (now - last.time) / 3600000000;
+    powerHistory.set(device.ieeeAddr, { power: total, time: now, energy });
+    result.energy = Math.round(energy * 10000) / 10000;
+    return result;
+}
+
+// fromZigbee converters feeding convertPower, one per light state cluster
+const fzPower = ['genOnOff', 'genLevelCtrl', 'lightingColorCtrl'].map(cluster => ({
+    cluster,
+    type: ['attributeReport', 'readResponse'],
+    convert: (model, msg, publish, options, meta) => convertPower(msg, options, meta),
+}));
+
+// Polling of the active endpoints while the device rebuilds them after an output configuration change
+const RECONFIGURATION_POLL_MS = 1000;
+const RECONFIGURATION_ATTEMPTS = 15;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Probes what a light endpoint can do.
+ * @param {Endpoint} ep - zigbee-herdsman light endpoint
+ * @param {Array<Buffer>} [outputConfigs] - Raw output configuration elements, if read
+ * @returns {Object} {hasColorTemp, hasColorXY, hasBrightness, hasOnOff}
+ */
+function getLightCapabilities(ep, outputConfigs) {
+    let colorCapabilities;
+    try {
+        if (ep.supportsInputCluster('lightingColorCtrl')) {
+            colorCapabilities = ep.getClusterAttributeValue('lightingColorCtrl', 'colorCapabilities');
+        }
+    } catch (e) { /* ignore */ }
+
+    // 1. Determine capabilities from Output Configuration (if available)
+    // This is more reliable than waiting for attributes to be read, as we know exactly how we configured the device.
+    let configHasColorTemp = false;
+    let configHasColorXY = false;
+
+    if (outputConfigs) {
+        outputConfigs.forEach((buf) => {
+            const el = Buffer.from(buf);
+            const epFunc = el[0];
+            const channelEp = (epFunc >> 4) & 0x0F;
+            const func = epFunc & 0x0F;
+            if (channelEp === ep.ID) {
+                // Determine capabilities based on function
+                if (func === 1 || func === 2) configHasColorTemp = true; // CW or WW
+                if (func >= 3 && func <= 9) configHasColorXY = true;     // Color channels
+            }
+        });
+    }
+
+    // 2. Decide features (Priority: Explicit Capability > Configured Mode > Attribute Presence)
+    return {
+        hasColorTemp: (colorCapabilities !== undefined) ? !!(colorCapabilities & 0x10) : (configHasColorTemp || (ep.getClusterAttributeValue('lightingColorCtrl', 'colorTemperature') !== undefined)),
+        hasColorXY: (colorCapabilities !== undefined) ? !!(colorCapabilities & 0x08) : (configHasColorXY || (ep.getClusterAttributeValue('lightingColorCtrl', 'currentX') !== undefined)),
+        hasBrightness: ep.supportsInputCluster('genLevelCtrl'),
+        hasOnOff: ep.supportsInputCluster('genOnOff'),
+    };
+}
+
+/**
+ * Builds the gamut diagnostic expose for one light endpoint.
+ * @param {string} name - Light endpoint name (l1-l6)
+ * @returns {Object} List expose of {x, y} hull vertices
+ */
+function gamutExpose(name) {
+    return e.list('gamut', ea.STATE, e.composite('vertex', 'vertex', ea.STATE)
+        .withFeature(e.numeric('x', ea.STATE))
+        .withFeature(e.numeric('y', ea.STATE)))
+        .withDescription('Corners of the color gamut spanned by the calibrated primaries (CIE 1931 xy)')
+        .withEndpoint(name);
+}
+
+/**
+ * Reads the attributes 'exposes' relies on from every light endpoint present on the device.
+ * @param {Device} device - zigbee-herdsman device
+ */
+async function readLightEndpoints(device) {
+    for (const epNum of LIGHT_ENDPOINTS) {
+        const ep = device.getEndpoint(epNum);
+        if (ep) {
+            try {
+                // Start with basic on/off/level
+                await ep.read('genOnOff', ['onOff', 'startUpOnOff']);
+                await ep.read('genLevelCtrl', ['currentLevel', 'onLevel']);
+
+                // Check color capabilities if cluster exists
+                if (ep.supportsInputCluster('lightingColorCtrl')) {
+                    await ep.read('lightingColorCtrl', ['colorCapabilities', 'colorTemperature', 'colorTempPhysicalMinMireds', 'colorTempPhysicalMaxMireds']);
+                    if (ep.getClusterAttributeValue('lightingColorCtrl', 'colorCapabilities') & 0x10) {
+                        await ep.read('lightingColorCtrl', ['startUpColorTemperature']);
+                    }
+                    await ep.read('lightingColorCtrl', ['advancedOptions'], { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+                }
+                if (ep.supportsInputCluster('lightingBallastCfg')) {
+                    await ep.read('lightingBallastCfg', ['physicalMinLevel', 'physicalMaxLevel']);
+                }
+                await ep.read('genLevelCtrl', ['startUpCurrentLevel', 'options']);
+                await ep.read('genLevelCtrl', ['minimumOnLevel'], { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+            } catch (e) { console.warn(`ubisys LD6: Failed to configure endpoint ${epNum}: ${e.message}`); }
+        }
+    }
+}
+
+// Default reporting intervals (seconds) for light state, tunable via device options
+const REPORTING_MIN_INTERVAL = 1;
+const REPORTING_MAX_INTERVAL = 3600;
+
+/**
+ * Finds the coordinator endpoint from an existing binding of the device.
+ * @param {Device} device - zigbee-herdsman device
+ * @returns {Endpoint|undefined} Coordinator endpoint, or undefined if nothing is bound to it yet
+ */
+function findCoordinatorEndpoint(device) {
+    for (const ep of device.endpoints) {
+        const bind = (ep.binds || []).find(b => b.target?.getDevice?.()?.type === 'Coordinator');
+        if (bind) return bind.target;
+    }
+}
+
+/**
+ * Binds the light endpoints to the coordinator and configures reporting for the state each one actually has.
+ * @param {Device} device - zigbee-herdsman device
+ * @param {Endpoint} [coordinatorEndpoint] - Coordinator endpoint, looked up from existing bindings if omitted
+ * @param {Object} [options] - Device options (reporting_min_interval, reporting_max_interval)
+ */
+async function configureLightReporting(device, coordinatorEndpoint, options) {
+    const min = options?.reporting_min_interval ?? REPORTING_MIN_INTERVAL;
+    const max = options?.reporting_max_interval ?? REPORTING_MAX_INTERVAL;
+    const target = coordinatorEndpoint || findCoordinatorEndpoint(device);
+    const outputConfigs = device.getEndpoint(232)?.getClusterAttributeValue('manuSpecificUbisysDeviceSetup', 'outputConfigurations');
+
+    for (const epNum of LIGHT_ENDPOINTS) {
+        const ep = device.getEndpoint(epNum);
+        if (!ep) continue;
+        const { hasColorTemp, hasColorXY, hasBrightness, hasOnOff } = getLightCapabilities(ep, outputConfigs);
+        const reporting = [];
+        if (hasOnOff) reporting.push(['genOnOff', ['onOff'], 0]);
+        if (hasBrightness) reporting.push(['genLevelCtrl', ['currentLevel'], 1]);
+        const color = [...(hasColorTemp ? ['colorTemperature'] : []), ...(hasColorXY ? ['currentX', 'currentY'] : [])];
+        if (color.length) reporting.push(['lightingColorCtrl', ['colorMode', ...color], 1]);
+
+        for (const [cluster, attributes, change] of reporting) {
+            try {
+                if (target) await ep.bind(cluster, target);
+                await ep.configureReporting(cluster, attributes.map(attribute => ({
+                    attribute,
+                    minimumReportInterval: min,
+                    maximumReportInterval: max,
+                    reportableChange: attribute === 'colorMode' ? 0 : change,
+                })));
+            } catch (e) { console.warn(`ubisys LD6: Failed to configure reporting of ${cluster} on endpoint ${epNum}: ${e.message}`); }
+        }
+    }
+}
+
+/**
+ * Rediscovers the light endpoints after an output configuration write.
+ * Polls the active endpoint list until the device reports the lights of the new configuration,
+ * re-queries their clusters, refreshes the capability attributes and regenerates 'exposes'.
+ * Progress is published as 'reconfiguration_status'.
+ * @param {Object} meta - toZigbee meta (device, publish, deviceExposesChanged)
+ * @param {Array<Buffer>} data - The output configuration elements just written
+ * @returns {Promise<string>} Final status ('done' or 'failed: <reason>'), for the caller's state
+ */
+async function rediscoverEndpoints(meta, data) {
+    const device = meta.device;
+    const report = (status) => { if (typeof meta.publish === 'function') meta.publish({ reconfiguration_status: status }); };
+    const expected = LIGHT_ENDPOINTS.filter(epNum => data.some((buf, i) => decodeOutputChannel(buf, i).endpoint === epNum));
+    const matches = () => LIGHT_ENDPOINTS.every(epNum => !!device.getEndpoint(epNum) === expected.includes(epNum));
+
+    try {
+        report('waiting for device');
+        let lastError;
+        for (let attempt = 1; ; attempt++) {
+            await sleep(RECONFIGURATION_POLL_MS);
+            try {
+                await device.updateActiveEndpoints();
+                lastError = undefined;
+                if (matches()) break;
+            } catch (e) {
+                // The device may not answer while it rebuilds its endpoints
+                lastError = e;
+            }
+            if (attempt === RECONFIGURATION_ATTEMPTS) {
+                throw new Error(lastError ? lastError.message
+                    : `device did not report lights ${expected.map(getLightName).join(', ')} within ${RECONFIGURATION_ATTEMPTS * RECONFIGURATION_POLL_MS / 1000} s`);
+            }
+        }
+
+        report('discovering endpoints');
+        for (const epNum of expected) await device.getEndpoint(epNum).updateSimpleDescriptor();
+        device.save();
+
+        report('reading capabilities');
+        await getSetupEndpoint(device).read('manuSpecificUbisysDeviceSetup', ['outputConfigurations']);
+        await readLightEndpoints(device);
+
+        report('configuring reporting');
+        await configureLightReporting(device, undefined, meta.options);
+
+        if (typeof meta.deviceExposesChanged === 'function') meta.deviceExposesChanged();
+        report('done');
+        return 'done';
+    } catch (e) {
+        console.warn(`ubisys LD6: Endpoint rediscovery failed: ${e.message}`);
+        report(`failed: ${e.message}`);
+        return `failed: ${e.message}`;
+    }
 }
 
 const definition = {
@@ -139,9 +1662,27 @@ const definition = {
     meta: {
         multiEndpoint: true,
     },
+    options: [
+        e.numeric('reporting_min_interval', ea.SET).withValueMin(0).withValueMax(3600).withUnit('s')
+            .withDescription(`Minimum interval between state reports of the lights (default ${REPORTING_MIN_INTERVAL})`),
+        e.numeric('reporting_max_interval', ea.SET).withValueMin(1).withValueMax(65534).withUnit('s')
+            .withDescription(`Maximum interval between state reports of the lights (default ${REPORTING_MAX_INTERVAL})`),
+        ...[1, 2, 3, 4, 5, 6].map(n => e.numeric(`rated_power_channel_${n}`, ea.SET).withValueMin(0).withUnit('W')
+            .withDescription(`Power drawn by the LEDs on output channel ${n} at full level, used to estimate power and energy`)),
+        e.text('virtual_light_channels', ea.SET)
+            .withDescription('Color light mixed from mono channels (e.g. in 6x_dimmable). Object (or JSON string) with the primaries of the channels: ' +
+                '{"channels": [{"channel": 1, "flux": 254, "x": 0.69, "y": 0.30}, {"channel": 2, "flux": 254, "x": 0.17, "y": 0.70}, ...]}'),
+        e.enum('gamut_mapping', ea.SET, ['clamp', 'reject'])
+            .withDescription('What to do with colors outside the gamut of a light: move them to the nearest reproducible color (default) or reject them'),
+        e.text('custom_output_modes', ea.SET)
+            .withDescription('User-defined output modes, selectable via output_mode. Object (or JSON string) keyed by mode name: ' +
+                '{"my_mode": {"description": "...", "channels": [{"channel": 1, "endpoint": 1, "function": "white_1", "flux": 254, "x": 0.3451, "y": 0.3516}, ...]}}'),
+    ],
+    // Ahead of the m.light converters, which also handle 'color' and 'effect'
+    toZigbee: [tzGamutColor, tzEffect],
     extend: [
-        ...[1, 5, 6, 7, 8, 9].map(epNum => {
-            const name = epNum === 1 ? 'l1' : `l${epNum === 5 ? 2 : epNum - 3}`;
+        ...LIGHT_ENDPOINTS.map(epNum => {
+            const name = getLightName(epNum);
             return {
                 ...m.light({
                     endpointName: name,
@@ -160,6 +1701,23 @@ const definition = {
             },
             commands: {}, commandsResponse: {},
         }),
+        m.deviceAddCustomCluster('zigbeeDirectConfiguration', {
+            ID: 0x003d,
+            attributes: {
+                interfaceState: { ID: 0x0000, type: Zcl.DataType.BITMAP8 },
+                anonymousJoinTimeout: { ID: 0x0001, type: Zcl.DataType.UINT24 },
+            },
+            commands: {
+                configureInterface: { ID: 0x00, parameters: [{ name: 'interfaceState', type: Zcl.DataType.BITMAP8 }] },
+                configureAnonymousJoinTimeout: { ID: 0x01, parameters: [{ name: 'anonymousJoinTimeout', type: Zcl.DataType.UINT24 }] },
+            },
+            commandsResponse: {
+                configureInterfaceRsp: {
+                    ID: 0x00,
+                    parameters: [{ name: 'status', type: Zcl.DataType.ENUM8 }, { name: 'interfaceState', type: Zcl.DataType.BITMAP8 }],
+                },
+            },
+        }),
         m.deviceAddCustomCluster('lightingBallastCfg', {
             ID: Zcl.Clusters.lightingBallastCfg.ID,
             attributes: {
@@ -172,6 +1730,7 @@ const definition = {
             ID: Zcl.Clusters.lightingColorCtrl.ID,
             attributes: {
                 advancedOptions: { ID: 0x0000, type: Zcl.DataType.BITMAP8, manufacturerCode: UBISYS_MANUFACTURER_CODE, write: true },
+                startUpColorTemperature: { ID: 0x4010, type: Zcl.DataType.UINT16, write: true },
             },
             commands: {}, commandsResponse: {},
         }),
@@ -181,20 +1740,34 @@ const definition = {
                 minimumOnLevel: { ID: 0x0000, type: Zcl.DataType.BITMAP8, manufacturerCode: UBISYS_MANUFACTURER_CODE, write: true },
                 options: { ID: 0x000f, type: Zcl.DataType.BITMAP8, write: true },
                 onOffTransitionTime: { ID: 0x0010, type: Zcl.DataType.UINT16, write: true },
+                onLevel: { ID: 0x0011, type: Zcl.DataType.UINT8, write: true },
                 startUpCurrentLevel: { ID: 0x4000, type: Zcl.DataType.UINT8, write: true },
             },
             commands: {}, commandsResponse: {},
         }),
+        m.deviceAddCustomCluster('genOnOff', {
+            ID: Zcl.Clusters.genOnOff.ID,
+            attributes: {
+                startUpOnOff: { ID: 0x4003, type: Zcl.DataType.ENUM8, write: true },
+            },
+            commands: {}, commandsResponse: {},
+        }),
         {
             fromZigbee: [
+                ...fzInputCommands,
                 fzOutputConfiguration,
+                ...fzPower,
                 {
                     cluster: 'manuSpecificUbisysDeviceSetup',
                     type: ['attributeReport', 'readResponse'],
                     convert: (model, msg, publish, options, meta) => {
                         const result = {};
                         if (msg.data.inputConfigurations !== undefined) result.input_configurations = msg.data.inputConfigurations.map(b => b[0]);
-                        if (msg.data.inputActions !== undefined) result.input_actions = msg.data.inputActions.map(b => b.toString('hex'));
+                        if (msg.data.inputActions !== undefined) {
+                            result.input_actions = msg.data.inputActions.map(b => b.toString('hex'));
+                            result.input_actions_structured = msg.data.inputActions.map(decodeInputAction);
+                            if (meta?.device) result.input_wiring = getInputWiring(meta.device, msg.data.inputActions);
+                        }
                         return result;
                     },
                 },
@@ -202,16 +1775,13 @@ const definition = {
                     cluster: 'lightingColorCtrl',
                     type: ['attributeReport', 'readResponse'],
                     convert: (model, msg, publish, options, meta) => {
+                        const result = {};
                         if (msg.data.advancedOptions !== undefined) {
                             const val = msg.data.advancedOptions;
-                            return {
-                                advanced_options_no_color_white: (val & 0x01) > 0,
-                                advanced_options_no_first_white_color: (val & 0x02) > 0,
-                                advanced_options_no_second_white_color: (val & 0x04) > 0,
-                                advanced_options_ignore_color_temp_range: (val & 0x08) > 0,
-                                advanced_options_constant_luminous_flux: (val & 0x10) > 0,
-                            };
+                            ADVANCED_OPTIONS.forEach((key, bit) => { result[key] = (val & (1 << bit)) > 0; });
                         }
+                        if (msg.data.startUpColorTemperature !== undefined) result.startup_color_temperature = msg.data.startUpColorTemperature;
+                        return withLightEndpoint(result, msg);
                     },
                 },
                 {
@@ -222,7 +1792,28 @@ const definition = {
                         if (msg.data.minimumOnLevel !== undefined) result.minimum_on_level = msg.data.minimumOnLevel;
                         if (msg.data.options !== undefined) result.execute_if_off = !!(msg.data.options & 1);
                         if (msg.data.onOffTransitionTime !== undefined) result.on_off_transition_time = msg.data.onOffTransitionTime;
+                        if (msg.data.onLevel !== undefined) result.on_level = msg.data.onLevel;
                         if (msg.data.startUpCurrentLevel !== undefined) result.startup_level = msg.data.startUpCurrentLevel;
+                        return withLightEndpoint(result, msg);
+                    },
+                },
+                {
+                    cluster: 'genOnOff',
+                    type: ['attributeReport', 'readResponse'],
+                    convert: (model, msg, publish, options, meta) => {
+                        if (msg.data.startUpOnOff !== undefined) {
+                            const value = Object.keys(STARTUP_ON_OFF).find(k => STARTUP_ON_OFF[k] === msg.data.startUpOnOff);
+                            return withLightEndpoint({ startup_on_off: value ?? msg.data.startUpOnOff }, msg);
+                        }
+                    },
+                },
+                {
+                    cluster: 'zigbeeDirectConfiguration',
+                    type: ['attributeReport', 'readResponse'],
+                    convert: (model, msg, publish, options, meta) => {
+                        const result = {};
+                        if (msg.data.interfaceState !== undefined) result.zigbee_direct_interface = !!(msg.data.interfaceState & 0x01);
+                        if (msg.data.anonymousJoinTimeout !== undefined) result.zigbee_direct_anonymous_join_timeout = msg.data.anonymousJoinTimeout;
                         return result;
                     },
                 },
@@ -239,6 +1830,8 @@ const definition = {
             ],
             toZigbee: [
                 tzOutputConfiguration,
+                tzLights,
+                tzVirtualLight,
                 {
                     key: ['output_configuration'],
                     convertSet: async (entity, key, value, meta) => {
@@ -251,8 +1844,23 @@ const definition = {
                             data.push(payload.slice(offset + 1, offset + 1 + len));
                             offset += len + 1;
                         }
+                        validateOutputConfiguration(data);
                         await writeSetupAttribute(meta.device, 0x0010, data);
-                        return { state: { output_configuration_raw: value } };
+                        const status = await rediscoverEndpoints(meta, data);
+                        return { state: { output_configuration_raw: value, reconfiguration_status: status } };
+                    },
+                    convertGet: async (entity, key, meta) => {
+                        await getSetupEndpoint(meta.device).read('manuSpecificUbisysDeviceSetup', ['outputConfigurations']);
+                    },
+                },
+                {
+                    key: ['output_channels'],
+                    convertSet: async (entity, key, value, meta) => {
+                        const data = encodeOutputChannels(value);
+                        validateOutputConfiguration(data);
+                        await writeSetupAttribute(meta.device, 0x0010, data);
+                        const status = await rediscoverEndpoints(meta, data);
+                        return { state: { output_channels: data.map(decodeOutputChannel), reconfiguration_status: status } };
                     },
                     convertGet: async (entity, key, meta) => {
                         await getSetupEndpoint(meta.device).read('manuSpecificUbisysDeviceSetup', ['outputConfigurations']);
@@ -281,20 +1889,106 @@ const definition = {
                     },
                 },
                 {
-                    key: [
-                        'advanced_options_no_color_white', 'advanced_options_no_first_white_color', 'advanced_options_no_second_white_color',
-                        'advanced_options_ignore_color_temp_range', 'advanced_options_constant_luminous_flux'
-                    ],
+                    key: ['input_actions_structured'],
                     convertSet: async (entity, key, value, meta) => {
-                        // Handle the 1-byte bitmask attribute for advanced features
-                        const bitMapping = [
-                            'advanced_options_no_color_white',
-                            'advanced_options_no_first_white_color',
-                            'advanced_options_no_second_white_color',
-                            'advanced_options_ignore_color_temp_range',
-                            'advanced_options_constant_luminous_flux'
+                        // Validate and encode everything before touching the device
+                        const data = encodeInputActions(value);
+                        await writeSetupAttribute(meta.device, 0x0001, data);
+                        return { state: { input_actions: data.map(b => b.toString('hex')), input_actions_structured: data.map(decodeInputAction) } };
+                    },
+                    convertGet: async (entity, key, meta) => {
+                        await getSetupEndpoint(meta.device).read('manuSpecificUbisysDeviceSetup', ['inputActions']);
+                    },
+                },
+                {
+                    key: ['input_wiring'],
+                    convertSet: async (entity, key, value, meta) => {
+                        const device = meta.device;
+                        let wiring = value;
+                        if (typeof value === 'string') {
+                            try {
+                                wiring = JSON.parse(value);
+                            } catch (err) {
+                                throw new Error(`Invalid input wiring JSON: ${err.message}`);
+                            }
+                        }
+                        if (!wiring || typeof wiring !== 'object' || Array.isArray(wiring)) {
+                            throw new Error('input_wiring must be an object keyed by input, e.g. {"s1": {"target": "l1", "behavior": "toggle_dim"}}');
+                        }
+                        const outputConfigs = getSetupEndpoint(device).getClusterAttributeValue('manuSpecificUbisysDeviceSetup', 'outputConfigurations');
+
+                        // Validate everything against the current output mode before touching the device
+                        const changes = Object.entries(wiring).map(([input, entry]) => {
+                            const fail = (msg) => { throw new Error(`Invalid input wiring for ${input}: ${msg}`); };
+                            const epNum = Number(Object.keys(INPUT_ENDPOINTS).find(num => INPUT_ENDPOINTS[num] === input));
+                            if (!epNum) fail(`unknown input, use ${Object.values(INPUT_ENDPOINTS).join(', ')}`);
+                            if (entry === null) return { epNum };
+                            if (typeof entry !== 'object') fail('must be an object or null');
+                            const preset = INPUT_WIRING_BEHAVIORS[entry.behavior];
+                            if (!preset) fail(`unknown behavior "${entry.behavior}", use ${Object.keys(INPUT_WIRING_BEHAVIORS).join(', ')}`);
+                            const targetNum = LIGHT_ENDPOINTS.find(num => getLightName(num) === entry.target);
+                            const targetEp = targetNum && device.getEndpoint(targetNum);
+                            if (!targetEp) fail(`light "${entry.target}" does not exist in the current output mode`);
+                            if (!getLightCapabilities(targetEp, outputConfigs)[preset.requires]) {
+                                fail(`${entry.target} does not support "${entry.behavior}" in the current output mode`);
+                            }
+                            return { epNum, targetEp, behavior: entry.behavior };
+                        });
+
+                        // Replace the input actions of the rewired inputs, keep the others
+                        const setupEp = getSetupEndpoint(device);
+                        const current = (await setupEp.read('manuSpecificUbisysDeviceSetup', ['inputActions'])).inputActions || [];
+                        const rewired = changes.map(c => c.epNum - 2);
+                        const actions = [
+                            ...current.map(b => Buffer.from(b)).filter(el => !rewired.includes(el[0] & 0x0F)),
+                            ...changes.filter(c => c.behavior).flatMap(c => buildWiringActions(c.epNum, c.behavior)),
                         ];
-                        const val = resolveAdvancedOptions(meta.state, key, value, bitMapping);
+                        await writeSetupAttribute(device, 0x0001, actions);
+
+                        // Make sure wired inputs are enabled
+                        const inputConfigs = (await setupEp.read('manuSpecificUbisysDeviceSetup', ['inputConfigurations'])).inputConfigurations;
+                        if (inputConfigs) {
+                            const configs = inputConfigs.map(b => Buffer.from(b)[0]);
+                            const enabled = configs.map((cfg, i) => (changes.some(c => c.behavior && c.epNum - 2 === i) ? cfg & ~0x80 : cfg));
+                            if (enabled.some((cfg, i) => cfg !== configs[i])) {
+                                await writeSetupAttribute(device, 0x0000, enabled.map(cfg => Buffer.from([cfg])));
+                            }
+                        }
+
+                        // Move the local bindings to the new target
+                        for (const { epNum, targetEp, behavior } of changes) {
+                            const ep = device.getEndpoint(epNum);
+                            if (!ep) continue;
+                            for (const bind of [...(ep.binds || [])]) {
+                                const target = bind.target;
+                                if (INPUT_WIRING_CLUSTERS.includes(bind.cluster?.name) && target?.deviceIeeeAddress === device.ieeeAddr && LIGHT_ENDPOINTS.includes(target.ID)) {
+                                    await ep.unbind(bind.cluster.name, target);
+                                }
+                            }
+                            if (behavior) {
+                                for (const cluster of INPUT_WIRING_BEHAVIORS[behavior].clusters) await ep.bind(cluster, targetEp);
+                            }
+                        }
+
+                        return {
+                            state: {
+                                input_wiring: getInputWiring(device, actions),
+                                input_actions: actions.map(b => b.toString('hex')),
+                                input_actions_structured: actions.map(decodeInputAction),
+                            },
+                        };
+                    },
+                    convertGet: async (entity, key, meta) => {
+                        await getSetupEndpoint(meta.device).read('manuSpecificUbisysDeviceSetup', ['inputActions']);
+                    },
+                },
+                {
+                    key: ADVANCED_OPTIONS,
+                    convertSet: async (entity, key, value, meta) => {
+                        // Handle the 1-byte bitmask attribute for advanced features. Each light endpoint
+                        // has its own value, so read-modify-write against the addressed endpoint.
+                        const resp = await entity.read('lightingColorCtrl', ['advancedOptions'], { manufacturerCode: UBISYS_MANUFACTURER_CODE });
+                        const val = resolveAdvancedOptions(resp?.advancedOptions ?? 0, key, value);
                         await entity.write('lightingColorCtrl', { advancedOptions: val }, { manufacturerCode: UBISYS_MANUFACTURER_CODE });
                         return { state: { [key]: value } };
                     },
@@ -303,13 +1997,17 @@ const definition = {
                     },
                 },
                 {
-                    key: ['minimum_on_level', 'on_off_transition_time', 'startup_level', 'execute_if_off'],
+                    key: ['minimum_on_level', 'on_off_transition_time', 'on_level', 'startup_level', 'execute_if_off'],
                     convertSet: async (entity, key, value, meta) => {
                         if (key === 'minimum_on_level') {
                             await entity.write('genLevelCtrl', { minimumOnLevel: value }, { manufacturerCode: UBISYS_MANUFACTURER_CODE });
                         } else if (key === 'on_off_transition_time') {
                             await entity.write('genLevelCtrl', { onOffTransitionTime: value });
+                        } else if (key === 'on_level') {
+                            value = resolveSpecialLevel(key, value);
+                            await entity.write('genLevelCtrl', { onLevel: value });
                         } else if (key === 'startup_level') {
+                            value = resolveSpecialLevel(key, value);
                             await entity.write('genLevelCtrl', { startUpCurrentLevel: value });
                         } else if (key === 'execute_if_off') {
                             await entity.write('genLevelCtrl', { options: value ? 1 : 0 });
@@ -321,6 +2019,8 @@ const definition = {
                             await entity.read('genLevelCtrl', ['minimumOnLevel'], { manufacturerCode: UBISYS_MANUFACTURER_CODE });
                         } else if (key === 'on_off_transition_time') {
                             await entity.read('genLevelCtrl', ['onOffTransitionTime']);
+                        } else if (key === 'on_level') {
+                            await entity.read('genLevelCtrl', ['onLevel']);
                         } else if (key === 'startup_level') {
                             await entity.read('genLevelCtrl', ['startUpCurrentLevel']);
                         } else if (key === 'execute_if_off') {
@@ -328,6 +2028,45 @@ const definition = {
                         }
                     },
                 },
+                {
+                    // Store, add, recall and remove are handled by the generic scene_* converters
+                    key: ['scenes'],
+                    convertGet: async (entity, key, meta) => {
+                        if (!LIGHT_ENDPOINTS.includes(entity.ID)) throw new Error('Scenes can only be listed on a light endpoint (l1-l6)');
+                        const groupid = Number(meta.message?.scenes?.group_id ?? 0);
+                        const caps = getLightCapabilities(entity, getSetupEndpoint(meta.device).getClusterAttributeValue('manuSpecificUbisysDeviceSetup', 'outputConfigurations'));
+                        const membership = await entity.command('genScenes', 'getSceneMembership', { groupid });
+                        if (membership?.status) throw new Error(`Reading the scenes of ${getLightName(entity.ID)} failed with status ${membership.status}`);
+                        const scenes = [];
+                        for (const sceneid of membership?.scenelist || []) {
+                            const view = await entity.command('genScenes', 'view', { groupid, sceneid });
+                            if (view?.status) continue;
+                            scenes.push({ ID: sceneid, group_id: groupid, transition: view.transtime, ...decodeSceneFields(view.extensionfieldsets, caps) });
+                        }
+                        meta.publish({ [`scenes_${getLightName(entity.ID)}`]: scenes });
+                    },
+                },
+                {
+                    key: ['startup_on_off', 'startup_color_temperature'],
+                    convertSet: async (entity, key, value, meta) => {
+                        if (key === 'startup_on_off') {
+                            const raw = STARTUP_ON_OFF[typeof value === 'string' ? value.toLowerCase() : value];
+                            if (raw === undefined) throw new Error(`Invalid startup_on_off '${value}', expected one of ${Object.keys(STARTUP_ON_OFF).join(', ')}`);
+                            await entity.write('genOnOff', { startUpOnOff: raw });
+                            return { state: { [key]: value.toLowerCase() } };
+                        }
+                        value = resolveSpecialLevel(key, value);
+                        await entity.write('lightingColorCtrl', { startUpColorTemperature: value });
+                        return { state: { [key]: value } };
+                    },
+                    convertGet: async (entity, key, meta) => {
+                        if (key === 'startup_on_off') {
+                            await entity.read('genOnOff', ['startUpOnOff']);
+                        } else if (key === 'startup_color_temperature') {
+                            await entity.read('lightingColorCtrl', ['startUpColorTemperature']);
+                        }
+                    },
+                },
                 {
                     key: ['ballast_min_level', 'ballast_max_level'],
                     convertSet: async (entity, key, value, meta) => {
@@ -346,6 +2085,30 @@ const definition = {
                         }
                     },
                 },
+                {
+                    key: ['zigbee_direct_interface', 'zigbee_direct_anonymous_join_timeout'],
+                    convertSet: async (entity, key, value, meta) => {
+                        // Both attributes are read-only, changes go through the cluster commands
+                        const ep = getZigbeeDirectEndpoint(meta.device);
+                        if (key === 'zigbee_direct_interface') {
+                            await ep.command('zigbeeDirectConfiguration', 'configureInterface', { interfaceState: value ? 1 : 0 });
+                        } else if (key === 'zigbee_direct_anonymous_join_timeout') {
+                            if (!Number.isInteger(value) || value < 0 || value > ANONYMOUS_JOIN_TIMEOUT_MAX) {
+                                throw new Error(`zigbee_direct_anonymous_join_timeout must be between 0 and ${ANONYMOUS_JOIN_TIMEOUT_MAX} seconds`);
+                            }
+                            await ep.command('zigbeeDirectConfiguration', 'configureAnonymousJoinTimeout', { anonymousJoinTimeout: value });
+                        }
+                        return { state: { [key]: value } };
+                    },
+                    convertGet: async (entity, key, meta) => {
+                        const ep = getZigbeeDirectEndpoint(meta.device);
+                        if (key === 'zigbee_direct_interface') {
+                            await ep.read('zigbeeDirectConfiguration', ['interfaceState']);
+                        } else if (key === 'zigbee_direct_anonymous_join_timeout') {
+                            await ep.read('zigbeeDirectConfiguration', ['anonymousJoinTimeout']);
+                        }
+                    },
+                },
                 {
                     key: ['calibration'],
                     convertSet: async (entity, key, value, meta) => {
@@ -356,16 +2119,27 @@ const definition = {
                             }
                             cal = typeof value === 'string' ? JSON.parse(value) : value;
                         } catch (err) {
-                            throw new Error(`Invalid calibration JSON: ${err.message}. Expected format: {"channel": 1..6, "x": 0..1, "y": 0..1, "flux": 0..254}`);
+                            throw new Error(`Invalid calibration JSON: ${err.message}. Expected format: {"channel": 1..6, "x": 0..1, "y": 0..1, "flux": 0..254} or {"channel": 1..6, "kelvin": 1667..25000, "duv": -0.05..0.05}`);
                         }
 
                         if (!cal || typeof cal !== 'object') {
-                            throw new Error('Calibration must be a JSON object');
+                            throw new Error('Calibration must be a JSON object or list');
                         }
 
-                        if (cal.channel === undefined || cal.channel < 1 || cal.channel > 6) {
-                            throw new Error('Calibration must specify a "channel" between 1 and 6');
-                        }
+                        // Accept a single patch, a list of patches, or {"channels": [...], "dry_run": true}
+                        const dryRun = !Array.isArray(cal) && cal.dry_run === true;
+                        const list = Array.isArray(cal) ? cal : (Array.isArray(cal.channels) ? cal.channels : null);
+                        const patches = (list || [cal]).map((patch, i) => {
+                            try {
+                                return resolveCalibrationPatch(patch);
+                            } catch (err) {
+                                throw new Error(list ? `Calibration entry #${i}: ${err.message}` : err.message);
+                            }
+                        });
+                        if (patches.length === 0) throw new Error('Calibration must contain at least one channel');
+                        const channels = patches.map(p => p.channel);
+                        const duplicate = channels.find((c, i) => channels.indexOf(c) !== i);
+                        if (duplicate !== undefined) throw new Error(`Calibration lists channel ${duplicate} more than once`);
 
                         const setupEp = getSetupEndpoint(meta.device);
                         const resp = await setupEp.read('manuSpecificUbisysDeviceSetup', ['outputConfigurations']);
@@ -373,27 +2147,30 @@ const definition = {
                             throw new Error('Could not read current output configurations from device');
                         }
 
-                        // Modify only the requested channel in the existing configuration array
-                        const elements = resp.outputConfigurations.map((buf, i) => {
-                            const el = Buffer.from(buf);
-                            if (i === (cal.channel - 1)) {
-                                if (cal.flux !== undefined) el[1] = cal.flux;
-                                if (cal.x !== undefined) {
-                                    const x = Math.round(cal.x * 65536);
-                                    el[2] = x & 0xFF;
-                                    el[3] = (x >> 8) & 0xFF;
-                                }
-                                if (cal.y !== undefined) {
-                                    const y = Math.round(cal.y * 65536);
-                                    el[4] = y & 0xFF;
-                                    el[5] = (y >> 8) & 0xFF;
-                                }
-                            }
-                            return el;
-                        });
+                        // Patch all requested channels, then write the whole configuration at once
+                        const elements = resp.outputConfigurations.map(buf => Buffer.from(buf));
+                        patches.forEach(patch => applyCalibrationPatch(elements[patch.channel - 1], patch));
+                        validateOutputConfiguration(elements);
+                        const results = channels.map(c => describeCalibratedChannel(elements[c - 1], c - 1)).join('; ');
+
+                        if (dryRun) {
+                            const ranges = LIGHT_ENDPOINTS
+                                .map(epNum => [epNum, getWhiteMiredsRange(elements, epNum)])
+                                .filter(([, range]) => range)
+                                .map(([epNum, range]) => `${getLightName(epNum)}: ${range[0]}-${range[1]} mireds`);
+                            return {
+                                state: {
+                                    calibration_status: `Dry run, nothing written. ${results}`,
+                                    calibration_preview: {
+                                        channels: elements.map(decodeOutputChannel),
+                                        color_temp_range: ranges.join(', '),
+                                    },
+                                },
+                            };
+                        }
 
                         await writeSetupAttribute(meta.device, 0x0010, elements);
-                        return { state: { calibration_status: `Updated channel ${cal.channel}` } };
+                        return { state: { calibration_status: `Updated ${results}` } };
                     },
                 }
             ],
@@ -409,24 +2186,79 @@ const definition = {
                 return [];
             }
 
+            // Virtual color light mixed by the converter
+            const setupEp = device?.getEndpoint?.(232);
+            if (getVirtualLight(options, setupEp?.getClusterAttributeValue('manuSpecificUbisysDeviceSetup', 'outputConfigurations'))) {
+                exposesList.push(e.composite('virtual_light', 'virtual_light', ea.STATE_SET)
+                    .withFeature(e.enum('state', ea.STATE_SET, ['ON', 'OFF', 'TOGGLE']))
+                    .withFeature(e.numeric('brightness', ea.STATE_SET).withValueMin(0).withValueMax(254))
+                    .withFeature(e.composite('color', 'color', ea.STATE_SET).withFeature(e.numeric('x', ea.STATE_SET)).withFeature(e.numeric('y', ea.STATE_SET)))
+                    .withFeature(e.numeric('transition', ea.SET).withUnit('s').withValueMin(0))
+                    .withDescription('Color light mixed from the channels in virtual_light_channels'));
+            }
+
+            // Estimated consumption, from the rated power of the channels
+            if (getRatedPower(options)) {
+                exposesList.push(e.power().withDescription('Estimated power of all lights'));
+                exposesList.push(e.energy().withDescription('Estimated energy consumed by all lights'));
+            }
+
             // Global device settings
 
-            exposesList.push(e.enum('output_mode', ea.SET, Object.keys(OUTPUT_CONFIGURATIONS)));
+            exposesList.push(e.enum('output_mode', ea.ALL, [...Object.keys(getOutputModes(options)), 'custom']));
+            exposesList.push(e.text('output_mode_description', ea.STATE));
+            exposesList.push(e.text('reconfiguration_status', ea.STATE));
+            exposesList.push(e.composite('lights', 'lights', ea.SET)
+                .withFeature(e.enum('state', ea.SET, ['ON', 'OFF', 'TOGGLE']))
+                .withFeature(e.numeric('brightness', ea.SET).withValueMin(0).withValueMax(254))
+                .withFeature(e.numeric('color_temp', ea.SET).withUnit('mired'))
+                .withFeature(e.composite('color', 'color', ea.SET).withFeature(e.numeric('x', ea.SET)).withFeature(e.numeric('y', ea.SET)))
+                .withFeature(e.numeric('transition', ea.SET).withUnit('s').withValueMin(0))
+                .withDescription('Command all lights at once'));
             exposesList.push(e.text('output_configuration', ea.SET));
             exposesList.push(e.text('output_configuration_raw', ea.STATE));
+            exposesList.push(e.list('output_channels', ea.ALL, e.composite('output_channel', 'output_channel', ea.ALL)
+                .withFeature(e.numeric('channel', ea.ALL).withValueMin(1).withValueMax(6))
+                .withFeature(e.numeric('endpoint', ea.ALL).withValueMin(0).withValueMax(9))
+                .withFeature(e.text('function', ea.ALL))
+                .withFeature(e.numeric('flux', ea.ALL).withValueMin(0).withValueMax(254))
+                .withFeature(e.numeric('x', ea.ALL).withValueMin(0).withValueMax(1))
+                .withFeature(e.numeric('y', ea.ALL).withValueMin(0).withValueMax(1))));
             exposesList.push(e.numeric('ballast_min_level', ea.ALL).withValueMin(1).withValueMax(254));
             exposesList.push(e.numeric('ballast_max_level', ea.ALL).withValueMin(1).withValueMax(254));
             // on_off_transition_time moved to per-endpoint loop
-            exposesList.push(e.binary('advanced_options_no_color_white', ea.ALL, true, false));
-            exposesList.push(e.binary('advanced_options_no_first_white_color', ea.ALL, true, false));
-            exposesList.push(e.binary('advanced_options_no_second_white_color', ea.ALL, true, false));
-            exposesList.push(e.binary('advanced_options_ignore_color_temp_range', ea.ALL, true, false));
-            exposesList.push(e.binary('advanced_options_constant_luminous_flux', ea.ALL, true, false));
-            exposesList.push(e.numeric('minimum_on_level', ea.ALL).withValueMin(1).withValueMax(254));
+            exposesList.push(e.binary('zigbee_direct_interface', ea.ALL, true, false)
+                .withDescription('Zigbee Direct (Bluetooth) interface enabled'));
+            exposesList.push(e.numeric('zigbee_direct_anonymous_join_timeout', ea.ALL).withUnit('s').withValueMin(0).withValueMax(ANONYMOUS_JOIN_TIMEOUT_MAX)
+                .withDescription(`Period after power-up during which a device can join anonymously via Bluetooth (0-${ANONYMOUS_JOIN_TIMEOUT_MAX} s)`));
+            exposesList.push(e.enum('action', ea.STATE, Object.values(INPUT_ENDPOINTS).flatMap(input => INPUT_ACTIONS.map(action => `${input}_${action}`)))
+                .withDescription('Command sent by one of the inputs s1-s3'));
+            exposesList.push(Object.values(INPUT_ENDPOINTS).reduce((wiring, input) => wiring.withFeature(
+                e.composite(input, input, ea.ALL)
+                    .withFeature(e.text('target', ea.ALL).withDescription('Light controlled by the input (l1-l6)'))
+                    .withFeature(e.enum('behavior', ea.ALL, Object.keys(INPUT_WIRING_BEHAVIORS)))),
+            e.composite('input_wiring', 'input_wiring', ea.ALL)).withDescription('Which light each input controls, and how'));
             exposesList.push(e.list('input_configurations', ea.ALL, e.numeric('value', ea.ALL)));
             exposesList.push(e.list('input_actions', ea.ALL, e.text('value', ea.ALL)));
+            exposesList.push(e.list('input_actions_structured', ea.ALL, e.composite('input_action', 'input_action', ea.ALL)
+                .withFeature(e.numeric('input', ea.ALL))
+                .withFeature(e.text('transition', ea.ALL))
+                .withFeature(e.numeric('alternate', ea.ALL).withValueMin(0).withValueMax(1))
+                .withFeature(e.numeric('endpoint', ea.ALL))
+                .withFeature(e.text('cluster', ea.ALL))
+                .withFeature(e.text('command', ea.ALL))
+                .withFeature(e.text('payload', ea.ALL))));
             exposesList.push(e.text('calibration', ea.SET));
             exposesList.push(e.text('calibration_status', ea.STATE));
+            exposesList.push(e.composite('calibration_preview', 'calibration_preview', ea.STATE)
+                .withFeature(e.list('channels', ea.STATE, e.composite('output_channel', 'output_channel', ea.STATE)
+                    .withFeature(e.numeric('channel', ea.STATE))
+                    .withFeature(e.numeric('endpoint', ea.STATE))
+                    .withFeature(e.text('function', ea.STATE))
+                    .withFeature(e.numeric('flux', ea.STATE))
+                    .withFeature(e.numeric('x', ea.STATE))
+                    .withFeature(e.numeric('y', ea.STATE))))
+                .withFeature(e.text('color_temp_range', ea.STATE)));
 
             /**
              * Dynamic Feature Probing
@@ -441,58 +2273,15 @@ const definition = {
                 // Read current PWM config to derive physical CCT limits
                 const outputConfigs = setupEp?.getClusterAttributeValue('manuSpecificUbisysDeviceSetup', 'outputConfigurations');
 
-                [1, 5, 6, 7, 8, 9].forEach(epNum => {
+                LIGHT_ENDPOINTS.forEach(epNum => {
                     const ep = device.getEndpoint(epNum);
                     if (ep) {
-                        const name = epNum === 1 ? 'l1' : `l${epNum === 5 ? 2 : epNum - 3}`;
-                        let colorCapabilities;
-                        try {
-                            if (ep.supportsInputCluster('lightingColorCtrl')) {
-                                colorCapabilities = ep.getClusterAttributeValue('lightingColorCtrl', 'colorCapabilities');
-                            }
-                        } catch (e) { /* ignore */ }
-
-                        // 1. Determine capabilities from Output Configuration (if available)
-                        // This is more reliable than waiting for attributes to be read, as we know exactly how we configured the device.
-                        let configHasColorTemp = false;
-                        let configHasColorXY = false;
-                        let cwMireds, wwMireds;
-
-                        if (outputConfigs) {
-                            outputConfigs.forEach((buf) => {
-                                const el = Buffer.from(buf);
-                                const epFunc = el[0];
-                                const channelEp = (epFunc >> 4) & 0x0F;
-                                const func = epFunc & 0x0F;
-                                if (channelEp === epNum) {
-                                    // Determine capabilities based on function
-                                    if (func === 1 || func === 2) configHasColorTemp = true; // CW or WW
-                                    if (func >= 3 && func <= 9) configHasColorXY = true;     // Color channels
-
-                                    // Collect calibration data for range calculation
-                                    if (func === 1 || func === 2) {
-                                        const x = (el[2] | (el[3] << 8)) / 65536;
-                                        const y = (el[4] | (el[5] << 8)) / 65536;
-                                        const mireds = xyToMireds(x, y);
-                                        if (func === 1) cwMireds = mireds;
-                                        if (func === 2) wwMireds = mireds;
-                                    }
-                                }
-                            });
-                        }
-
-                        // 2. Decide exposed features (Priority: Explicit Capability > Configured Mode > Attribute Presence)
-                        const hasColorTemp = (colorCapabilities !== undefined) ? (colorCapabilities & 0x10) : (configHasColorTemp || (ep.getClusterAttributeValue('lightingColorCtrl', 'colorTemperature') !== undefined));
-                        const hasColorXY = (colorCapabilities !== undefined) ? (colorCapabilities & 0x08) : (configHasColorXY || (ep.getClusterAttributeValue('lightingColorCtrl', 'currentX') !== undefined));
-                        const hasBrightness = ep.supportsInputCluster('genLevelCtrl');
-                        const hasOnOff = ep.supportsInputCluster('genOnOff');
+                        const name = getLightName(epNum);
+                        const { hasColorTemp, hasColorXY, hasBrightness, hasOnOff } = getLightCapabilities(ep, outputConfigs);
 
-                        // 3. Expose provisions
+                        // CCT range as reported by the device, else derived from the white calibration, else a default
+                        const range = getPhysicalMiredsRange(ep) || (outputConfigs && getWhiteMiredsRange(outputConfigs, epNum)) || [153, 500];
                         if (hasColorTemp) {
-                            let range = [153, 500]; // Default CCT range
-                            if (cwMireds && wwMireds) {
-                                range = [Math.min(cwMireds, wwMireds), Math.max(cwMireds, wwMireds)];
-                            }
 
                             if (hasColorXY) {
                                 exposesList.push(e.light_brightness_colortemp_colorxy(range).withEndpoint(name));
@@ -507,22 +2296,43 @@ const definition = {
                             exposesList.push(e.light_onoff().withEndpoint(name));
                         }
 
-                        // Expose transition time and startup level for this endpoint
+                        // Expose transition time and power-on behaviour for this endpoint
                         exposesList.push(e.numeric('on_off_transition_time', ea.ALL).withUnit('0.1s').withValueMin(0).withValueMax(65535).withEndpoint(name));
-                        exposesList.push(e.numeric('startup_level', ea.ALL).withValueMin(0).withValueMax(254).withEndpoint(name));
+                        exposesList.push(...powerOnExposes(name, hasColorTemp ? range : undefined));
                         exposesList.push(e.binary('execute_if_off', ea.ALL, true, false).withEndpoint(name));
+                        if (hasBrightness) {
+                            exposesList.push(e.numeric('minimum_on_level', ea.ALL).withValueMin(1).withValueMax(254).withEndpoint(name));
+                        }
+                        const effects = getEffects(ep, { hasColorTemp, hasColorXY, hasBrightness, hasOnOff });
+                        if (effects.length) exposesList.push(e.enum('effect', ea.SET, effects).withEndpoint(name));
+                        if (ep.supportsInputCluster('genScenes')) {
+                            exposesList.push(...sceneExposes(name, { hasColorTemp, hasColorXY, hasBrightness, hasOnOff }, range));
+                        }
+                        if (hasColorXY && outputConfigs && getGamut(outputConfigs, epNum)) {
+                            exposesList.push(gamutExpose(name));
+                        }
+                        if (ep.supportsInputCluster('lightingColorCtrl')) {
+                            ADVANCED_OPTIONS.forEach(key => exposesList.push(e.binary(key, ea.ALL, true, false).withEndpoint(name)));
+                        }
+                        if (getRatedPower(options)) {
+                            exposesList.push(e.power().withDescription('Estimated power of this light').withEndpoint(name));
+                        }
                     }
                 });
             } else {
                 // Fallback for when device is not yet fully available (e.g. definition loading)
                 // Expose all 6 endpoints with maximum capabilities to ensure they are available in the UI
-                [1, 5, 6, 7, 8, 9].forEach(epNum => {
-                    const name = epNum === 1 ? 'l1' : `l${epNum === 5 ? 2 : epNum - 3}`;
+                LIGHT_ENDPOINTS.forEach(epNum => {
+                    const name = getLightName(epNum);
                     // Default to most capable light type so user can at least see controls
                     exposesList.push(e.light_brightness_colortemp_colorxy([153, 555]).withEndpoint(name));
                     exposesList.push(e.numeric('on_off_transition_time', ea.ALL).withUnit('0.1s').withValueMin(0).withValueMax(65535).withEndpoint(name));
-                    exposesList.push(e.numeric('startup_level', ea.ALL).withValueMin(0).withValueMax(254).withEndpoint(name));
+                    exposesList.push(...powerOnExposes(name, [153, 555]));
                     exposesList.push(e.binary('execute_if_off', ea.ALL, true, false).withEndpoint(name));
+                    exposesList.push(e.numeric('minimum_on_level', ea.ALL).withValueMin(1).withValueMax(254).withEndpoint(name));
+                    exposesList.push(e.enum('effect', ea.SET, [...Object.keys(IDENTIFY_EFFECTS), 'colorloop', 'hue_move_up', 'hue_move_down', 'stop_effect']).withEndpoint(name));
+                    exposesList.push(...sceneExposes(name, { hasColorTemp: true, hasColorXY: true, hasBrightness: true, hasOnOff: true }, [153, 555]));
+                    ADVANCED_OPTIONS.forEach(key => exposesList.push(e.binary(key, ea.ALL, true, false).withEndpoint(name)));
                 });
             }
         } catch (err) {
@@ -542,25 +2352,37 @@ const definition = {
         }
 
         // Proactively read color capabilities for all potential endpoints to ensure UI is correct
-        for (const epNum of [1, 5, 6, 7, 8, 9]) {
-            const ep = device.getEndpoint(epNum);
-            if (ep) {
-                try {
-                    // Start with basic on/off/level
-                    await ep.read('genOnOff', ['onOff']);
-                    await ep.read('genLevelCtrl', ['currentLevel']);
-
-                    // Check color capabilities if cluster exists
-                    if (ep.supportsInputCluster('lightingColorCtrl')) {
-                        await ep.read('lightingColorCtrl', ['colorCapabilities', 'colorTemperature', 'colorTempPhysicalMinMireds', 'colorTempPhysicalMaxMireds']);
-                    }
-                    if (ep.supportsInputCluster('lightingBallastCfg')) {
-                        await ep.read('lightingBallastCfg', ['physicalMinLevel', 'physicalMaxLevel']);
-                    }
-                    await ep.read('genLevelCtrl', ['startUpCurrentLevel', 'options']);
-                } catch (e) { console.warn(`ubisys LD6: Failed to configure endpoint ${epNum}: ${e.message}`); }
+        await readLightEndpoints(device);
+
+        // Report state changes made by the inputs or other bound controllers
+        await configureLightReporting(device, coordinatorEndpoint);
+
+        // Receive the commands of the inputs to publish them as actions
+        for (const epNum of Object.keys(INPUT_ENDPOINTS)) {
+            const ep = device.getEndpoint(Number(epNum));
+            if (!ep) continue;
+            for (const cluster of Object.keys(INPUT_COMMANDS)) {
+                if (!ep.supportsOutputCluster(cluster)) continue;
+                try { await ep.bind(cluster, coordinatorEndpoint); } catch (e) { console.warn(`ubisys LD6: Failed to bind ${cluster} of input endpoint ${epNum}: ${e.message}`); }
             }
         }
+
+        // Zigbee Direct (Bluetooth) settings
+        try {
+            await getZigbeeDirectEndpoint(device).read('zigbeeDirectConfiguration', ['interfaceState', 'anonymousJoinTimeout']);
+        } catch (e) { console.warn(`ubisys LD6: Failed to read Zigbee Direct configuration: ${e.message}`); }
+    },
+    onEvent: async (event) => {
+        if (event.type === 'stop') {
+            powerHistory.delete(event.data.ieeeAddr);
+            return;
+        }
+        // Device options are not available in configure, apply tuned intervals when they change
+        if (event.type !== 'deviceOptionsChanged') return;
+        const { from, to, device } = event.data;
+        if (from?.reporting_min_interval !== to?.reporting_min_interval || from?.reporting_max_interval !== to?.reporting_max_interval) {
+            await configureLightReporting(device, undefined, to);
+        }
     },
     ota: true,
 };